@@ -9,13 +9,13 @@ import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const pkg = require('./package.json');
 
-export default [
-  // JavaScript bundle
-  {
-    input: 'src/index.ts',
+// JavaScript bundle
+function bundle(input, file) {
+  return {
+    input,
     output: {
       name: 'DataCortex',
-      file: pkg.browser,
+      file,
       format: 'umd',
       exports: 'named',
       sourcemap: true,
@@ -47,14 +47,45 @@ export default [
       }),
     ],
     external: [],
-  },
-  // TypeScript declarations bundle
-  {
-    input: 'src/index.ts',
+  };
+}
+// Node command line tool
+function bin(input, file) {
+  return {
+    input,
     output: {
-      file: 'dist/index.d.ts',
+      file,
+      format: 'cjs',
+      banner: '#!/usr/bin/env node',
+    },
+    plugins: [
+      typescript({
+        tsconfig: './tsconfig.json',
+        declaration: false,
+        sourceMap: false,
+        rootDir: './src',
+      }),
+    ],
+    external: ['fs'],
+  };
+}
+// TypeScript declarations bundle
+function declarations(input, file) {
+  return {
+    input,
+    output: {
+      file,
       format: 'es',
     },
     plugins: [dts()],
-  },
+  };
+}
+
+export default [
+  bundle('src/index.ts', pkg.browser),
+  // Web Workers and service workers, adds the service worker relay
+  bundle('src/worker.ts', 'dist/browser-data-cortex.worker.min.js'),
+  bin('src/bin/generate-tracking.ts', 'dist/generate-tracking.js'),
+  declarations('src/index.ts', 'dist/index.d.ts'),
+  declarations('src/worker.ts', 'dist/worker.d.ts'),
 ];
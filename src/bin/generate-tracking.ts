@@ -0,0 +1,148 @@
+/**
+ * Generate typed tracking functions from a tracking spec
+ *
+ * Usage: dc-generate-tracking <spec.json> <out.ts> [module]
+ *
+ * Each spec event becomes a method on `track` that takes its params by name
+ * and fills in the fixed taxonomy, e.g. track.levelComplete({ level: 3 }).
+ * Pass the same spec to init({ trackingSpec }) to check untyped calls too.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+
+import { parseTrackingSpec, SPEC_FLOAT_FIELDS } from '../tracking-spec';
+import type { SpecEvent, TrackingSpec } from '../tracking-spec';
+
+const DEFAULT_MODULE = 'browser-data-cortex';
+
+function paramsType(name: string): string {
+  return `${name.charAt(0).toUpperCase()}${name.slice(1)}Params`;
+}
+
+function docComment(text: string | undefined, indent: string): string[] {
+  return text !== undefined && text !== ''
+    ? [`${indent}/** ${text.replace(/\*\//g, '* /')} */`]
+    : [];
+}
+
+function generateParams(name: string, event: SpecEvent): string[] {
+  const lines = [`export interface ${paramsType(name)} {`];
+  for (const [param, def] of Object.entries(event.params ?? {})) {
+    const type = (SPEC_FLOAT_FIELDS as readonly string[]).includes(def.field)
+      ? 'number'
+      : 'string';
+    lines.push(...docComment(def.description, '  '));
+    lines.push(`  ${param}${(def.required ?? false) ? '' : '?'}: ${type};`);
+  }
+  if (event.economy ?? false) {
+    lines.push('  spend_currency: string;');
+    lines.push('  spend_amount: number;');
+    lines.push('  spend_type?: string;');
+  }
+  lines.push('}');
+  return lines;
+}
+
+function generateMethod(name: string, event: SpecEvent): string[] {
+  const propsType =
+    (event.economy ?? false) ? 'EconomyEventProps' : 'EventProps';
+  const fixed = Object.entries(event.taxonomy).map(
+    ([field, value]) => `${field}: ${JSON.stringify(value)}`
+  );
+  if (event.economy ?? false) {
+    fixed.push(
+      'spend_currency: params.spend_currency',
+      'spend_amount: params.spend_amount'
+    );
+  }
+  const lines = [
+    ...docComment(event.description, '    '),
+    `    ${name}(params: ${paramsType(name)}): void {`,
+    `      const props: ${propsType} = { ${fixed.join(', ')} };`,
+  ];
+  const assignments: { param: string; field: string; required: boolean }[] =
+    Object.entries(event.params ?? {}).map(([param, def]) => ({
+      param,
+      field: def.field,
+      required: def.required ?? false,
+    }));
+  if (event.economy ?? false) {
+    assignments.push({
+      param: 'spend_type',
+      field: 'spend_type',
+      required: false,
+    });
+  }
+  for (const { param, field, required } of assignments) {
+    if (required) {
+      lines.push(`      props.${field} = params.${param};`);
+    } else {
+      lines.push(`      if (params.${param} !== undefined) {`);
+      lines.push(`        props.${field} = params.${param};`);
+      lines.push('      }');
+    }
+  }
+  lines.push(
+    `      client.${(event.economy ?? false) ? 'economyEvent' : 'event'}(props);`,
+    '    },'
+  );
+  return lines;
+}
+
+function generateTracking(spec: TrackingSpec, module: string): string {
+  const events = Object.entries(spec.events);
+  const types = ['DataCortexClient'];
+  if (events.some(([, event]) => event.economy ?? false)) {
+    types.push('EconomyEventProps');
+  }
+  if (events.some(([, event]) => !(event.economy ?? false))) {
+    types.push('EventProps');
+  }
+  const lines = [
+    '// Generated by dc-generate-tracking from a tracking spec, do not edit',
+    `import DataCortex from '${module}';`,
+    `import type { ${types.join(', ')} } from '${module}';`,
+    '',
+  ];
+  for (const [name, event] of events) {
+    lines.push(...generateParams(name, event), '');
+  }
+  lines.push(
+    `export type TrackingClient = Pick<DataCortexClient, 'event' | 'economyEvent'>;`,
+    '',
+    `export function createTrack(client: TrackingClient) {`,
+    '  return {'
+  );
+  for (const [name, event] of events) {
+    lines.push(...generateMethod(name, event));
+  }
+  lines.push(
+    '  };',
+    '}',
+    '',
+    'export const track = createTrack(DataCortex);',
+    ''
+  );
+  return lines.join('\n');
+}
+
+const [specPath, outPath, module = DEFAULT_MODULE] = process.argv.slice(2);
+if (!specPath || !outPath) {
+  // eslint-disable-next-line no-console
+  console.error('Usage: dc-generate-tracking <spec.json> <out.ts> [module]');
+  process.exit(1);
+}
+try {
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const spec = parseTrackingSpec(JSON.parse(readFileSync(specPath, 'utf8')));
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  writeFileSync(outPath, generateTracking(spec, module));
+  // eslint-disable-next-line no-console
+  console.log(
+    `Wrote ${Object.keys(spec.events).length} tracking functions to ${outPath}`
+  );
+} catch (error) {
+  // eslint-disable-next-line no-console
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+}
@@ -0,0 +1,2676 @@
+import { createClock, parseServerTime } from './clock';
+import type { Clock } from './clock';
+import { captureConsole, DEFAULT_CONSOLE_METHODS } from './console-capture';
+import type { ConsoleCaptureOptions, ConsoleMethod } from './console-capture';
+import {
+  STRING_PROP_LIST,
+  LONG_STRING_PROP_LIST,
+  NUMBER_PROP_LIST,
+  OTHER_PROP_LIST,
+  LOG_NUMBER_PROP_LIST,
+  LOG_STRING_PROP_MAP,
+  MAX_LOG_LINE_LENGTH,
+  LOG_OTHER_PROP_LIST,
+} from './constants';
+import { globalScope, hasDom } from './env';
+import { createErrorReporter } from './error-reporting';
+import type {
+  ErrorContext,
+  ErrorReporter,
+  ErrorReportingOptions,
+} from './error-reporting';
+import { startPageTracking } from './page-tracking';
+import type {
+  FloatField,
+  PageTracker,
+  PageTrackingOptions,
+} from './page-tracking';
+import {
+  DEFAULT_RELAY_ACK_TIMEOUT_MS,
+  postToRelay,
+  relayController,
+} from './relay';
+import type { RelayOptions } from './relay';
+import {
+  createMemoryStorage,
+  createStorage,
+  isStorageAvailable,
+} from './storage';
+import type { StorageAdapter, StorageType } from './storage';
+import { startTabCoordination } from './tab-coordination';
+import type { TabCoordinator } from './tab-coordination';
+import { createThrottle, formatDropped } from './throttle';
+import type {
+  SampledType,
+  Throttle,
+  ThrottleOptions,
+  ThrottleReason,
+} from './throttle';
+import { parseTrackingSpec } from './tracking-spec';
+import type { TrackingSpec } from './tracking-spec';
+import { createBackoff, parseRetryAfter, watchConnectivity } from './transport';
+import type { Backoff, Connectivity, RetryOptions } from './transport';
+import { detectDetails, detectDevice, detectHighEntropy } from './user-agent';
+import type { DeviceDetailsOptions } from './user-agent';
+import { ValidationError, validateEvent, validateLog } from './validate';
+import type { ValidationDiagnostic, ValidationMode } from './validate';
+import { startWebVitals } from './web-vitals';
+import type { WebVitalsOptions, WebVitalsTracker } from './web-vitals';
+
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_MAX_BATCH_SIZE = 100;
+// sendBeacon/keepalive payloads are capped at 64KiB, leave room for headers
+const MAX_BEACON_BYTES = 60 * 1024;
+const API_BASE_URL = 'https://api.data-cortex.com';
+const DEFAULT_MAX_EVENTS = 1000;
+const DEFAULT_MAX_LOGS = 1000;
+const DEFAULT_MAX_QUEUE_BYTES = 1024 * 1024;
+const DEFAULT_SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_TIMER_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_COMPRESSION_THRESHOLD = 1024;
+const DEFAULT_DROP_REPORT_INTERVAL_MS = 60 * 1000;
+
+export interface InitOptions {
+  apiKey: string;
+  orgName: string;
+  appVer?: string;
+  baseUrl?: string;
+  deviceTag?: string;
+  namespace?: string;
+  sendOnUnload?: boolean;
+  storage?: StorageType | StorageAdapter;
+  crossTab?: boolean;
+  retry?: RetryOptions;
+  eventBatching?: BatchOptions;
+  logBatching?: BatchOptions;
+  compression?: boolean | CompressionOptions;
+  relay?: boolean | RelayOptions;
+  deviceDetails?: boolean | DeviceDetailsOptions;
+  maxEvents?: number;
+  maxLogs?: number;
+  maxQueueBytes?: number;
+  sessionTimeout?: number;
+  sessionEvents?: boolean;
+  requireConsent?: boolean;
+  respectDoNotTrack?: boolean;
+  beforeEvent?: BeforeEventHook[];
+  beforeLog?: BeforeLogHook[];
+  persistDefaults?: boolean;
+  validation?: ValidationMode;
+  trackingSpec?: TrackingSpec;
+  throttling?: ThrottleOptions;
+  debug?: boolean;
+  dryRun?: boolean;
+  pageTracking?: boolean | PageTrackingOptions;
+  webVitals?: boolean | WebVitalsOptions;
+  timerField?: FloatField;
+  pauseTimersWhenHidden?: boolean;
+  timerExpiry?: number;
+  logLevel?: LogLevel;
+  captureConsole?: boolean | ConsoleCaptureOptions;
+  addErrorHandler?: boolean | ErrorReportingOptions;
+  errorLog?: (...args: unknown[]) => void;
+}
+export interface EventProps {
+  kingdom?: string;
+  phylum?: string;
+  class?: string;
+  order?: string;
+  family?: string;
+  genus?: string;
+  species?: string;
+  float1?: number;
+  float2?: number;
+  float3?: number;
+  float4?: number;
+  group_tag?: string;
+  event_index?: number;
+  event_datetime?: string;
+}
+export interface EconomyEventProps extends EventProps {
+  spend_currency: string;
+  spend_amount: number;
+  spend_type?: string;
+}
+export interface MessageSendEventProps extends EventProps {
+  network?: string;
+  channel?: string;
+  from_tag: string;
+  to_tag?: string;
+  to_list?: string[];
+}
+export interface LogEventProps {
+  log_line?: string;
+  hostname?: string;
+  filename?: string;
+  log_level?: string;
+  device_tag?: string;
+  user_tag?: string;
+  remote_address?: string;
+  event_datetime?: string;
+  repsonse_bytes?: number;
+  response_ms?: number;
+}
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+export interface Logger {
+  debug: (...args: unknown[]) => void;
+  info: (...args: unknown[]) => void;
+  warn: (...args: unknown[]) => void;
+  error: (...args: unknown[]) => void;
+}
+export interface DefaultProps
+  extends Omit<EventProps, 'group_tag' | 'event_index' | 'event_datetime'> {
+  spend_currency?: string;
+  spend_type?: string;
+  network?: string;
+  channel?: string;
+}
+export interface EventRecord extends EventProps {
+  type?: string;
+  spend_currency?: string;
+  spend_amount?: number;
+  spend_type?: string;
+  network?: string;
+  channel?: string;
+  from_tag?: string;
+  to_tag?: string;
+  to_list?: string[];
+  [key: string]: unknown;
+}
+export type RecordType =
+  | 'event'
+  | 'economy'
+  | 'message_send'
+  | 'install'
+  | 'dau'
+  | 'log';
+export type BeforeEventHook = (
+  record: EventRecord,
+  type: RecordType
+) => EventRecord | null | false | void;
+export type BeforeLogHook = (
+  record: LogEventProps,
+  type: RecordType
+) => LogEventProps | null | false | void;
+export type DropReason =
+  | 'bad_request'
+  | 'bad_api_key'
+  | 'queue_full'
+  | ThrottleReason;
+export interface DeliveryInfo {
+  type: 'event' | 'log';
+  indexes: number[];
+  count: number;
+  status: number | null;
+  retryCount: number;
+}
+export interface FailedInfo extends DeliveryInfo {
+  error: string;
+  retryIn: number;
+}
+export interface DroppedInfo extends DeliveryInfo {
+  reason: DropReason;
+}
+export interface ReadyInfo {
+  deviceTag: string;
+}
+export interface ClientEventMap {
+  sent: DeliveryInfo;
+  failed: FailedInfo;
+  dropped: DroppedInfo;
+  ready: ReadyInfo;
+}
+export type ClientEventName = keyof ClientEventMap;
+export type ClientEventListener<K extends ClientEventName> = (
+  info: ClientEventMap[K]
+) => void;
+export interface BatchOptions {
+  batchSize?: number;
+  maxBatchSize?: number;
+  maxBytes?: number;
+  flushInterval?: number;
+  adaptive?: boolean;
+}
+export interface CompressionOptions {
+  threshold?: number;
+}
+export interface IdentifyOptions {
+  alias?: boolean;
+}
+export interface ResetOptions {
+  rotateDeviceTag?: boolean;
+}
+export interface DataCortexClient {
+  init: (opts: InitOptions) => void;
+  isReady: () => boolean;
+  getDeviceTag: () => string | null;
+  addUserTag: (userTag: string | null) => void;
+  identify: (userTag: string, opts?: IdentifyOptions) => void;
+  reset: (opts?: ResetOptions) => void;
+  event: (props: EventProps) => void;
+  economyEvent: (props: EconomyEventProps) => void;
+  messageSendEvent: (props: MessageSendEventProps) => void;
+  log: (...args: unknown[]) => void;
+  logEvent: (props: LogEventProps) => void;
+  logger: Logger;
+  captureException: (err: unknown, context?: ErrorContext) => void;
+  getSessionKey: () => string | null;
+  startNewSession: () => void;
+  optIn: () => void;
+  optOut: () => void;
+  beforeEvent: (hook: BeforeEventHook) => () => void;
+  beforeLog: (hook: BeforeLogHook) => () => void;
+  setDefaults: (props: DefaultProps) => void;
+  clearDefaults: (keys?: (keyof DefaultProps)[]) => void;
+  withScope: <T>(props: DefaultProps, fn: () => T) => T;
+  startTimer: (key: string, props?: EventProps) => void;
+  endTimer: (key: string, extraProps?: EventProps) => number | null;
+  cancelTimer: (key: string) => boolean;
+  getQueue: () => EventRecord[];
+  getPendingLogCount: () => number;
+  clearQueue: () => void;
+  on: <K extends ClientEventName>(
+    name: K,
+    listener: ClientEventListener<K>
+  ) => () => void;
+  off: <K extends ClientEventName>(
+    name: K,
+    listener: ClientEventListener<K>
+  ) => void;
+  flush: () => Promise<void>;
+  destroy: () => void;
+}
+interface InternalEvent extends EventRecord {
+  session_key?: string;
+  // Identity at enqueue time, sent on the bundle rather than the event
+  user_tag?: string | null;
+  device_tag?: string;
+  // Clock correction event_datetime was stamped with
+  clock_offset?: number;
+}
+interface InternalLog extends LogEventProps {
+  // Identifies the record across tabs, not sent to the server
+  log_key?: string;
+  clock_offset?: number;
+}
+type QueueRecord = InternalEvent | InternalLog;
+type QueueName = 'event_list' | 'log_list';
+// What this tab did to a queue since it last wrote it
+interface QueueChanges {
+  cleared: boolean;
+  // Added or updated, by record key
+  records: Map<string, QueueRecord>;
+  removed: Set<string>;
+}
+
+type ConsentState = 'pending' | 'granted' | 'denied';
+
+interface SessionState {
+  key: string;
+  start_time: number;
+  last_time: number;
+  event_count: number;
+}
+
+interface TimerState {
+  props: EventProps;
+  start_time: number;
+  elapsed: number;
+  running_since: number | null;
+}
+
+interface DefaultBundle {
+  os?: string;
+  os_ver?: string;
+  browser?: string;
+  browser_ver?: string;
+  device_type?: string;
+  device_family?: string;
+  device_model?: string;
+  screen_width?: number;
+  screen_height?: number;
+  language?: string;
+  timezone?: string;
+  connection_type?: string;
+  api_key?: string;
+  app_ver?: string;
+  device_tag?: string;
+  user_tag?: string;
+  clock_skew?: number;
+  events?: InternalEvent[];
+  [key: string]: unknown;
+}
+interface LogBundle extends Omit<DefaultBundle, 'events'> {
+  events?: LogEventProps[];
+  user_tag?: string | null;
+  clock_skew?: number;
+}
+
+interface RequestOptions {
+  url: string;
+  method: string;
+  body?: Record<string, unknown> | FormData;
+  headers?: Record<string, string>;
+  timeout?: number;
+  keepalive?: boolean;
+  gzipThreshold?: number | null;
+}
+
+type RequestCallback = (
+  err: string | null,
+  status?: number,
+  body?: string,
+  headers?: Headers
+) => void;
+
+const DEFAULT_PROP_LIST: readonly string[] = [
+  ...STRING_PROP_LIST,
+  ...NUMBER_PROP_LIST,
+];
+// Only merged into economy events
+const ECONOMY_PROP_LIST: readonly string[] = [
+  'spend_currency',
+  'spend_amount',
+  'spend_type',
+];
+const EVENT_PROP_LIST: readonly string[] = [
+  ...STRING_PROP_LIST,
+  ...LONG_STRING_PROP_LIST,
+  ...NUMBER_PROP_LIST,
+  ...OTHER_PROP_LIST,
+];
+const LOG_PROP_LIST: readonly string[] = [
+  ...LOG_NUMBER_PROP_LIST,
+  ...Object.keys(LOG_STRING_PROP_MAP),
+  ...LOG_OTHER_PROP_LIST,
+];
+
+const LOG_LEVEL_LIST: readonly LogLevel[] = ['debug', 'info', 'warn', 'error'];
+
+function _defaultErrorLog(...args: unknown[]): void {
+  // eslint-disable-next-line no-console
+  console.error('Data Cortex Error:', ...args);
+}
+function _debugLog(...args: unknown[]): void {
+  // eslint-disable-next-line no-console
+  console.log('Data Cortex:', ...args);
+}
+
+export function newClient(): DataCortexClient {
+  let apiBaseUrl: string = API_BASE_URL;
+  let storagePrefix = 'dc.';
+  let storage: StorageAdapter | null = null;
+  let isLoaded = false;
+  let isStorageReady = false;
+  let initCount = 0;
+  let initOpts: InitOptions | null = null;
+  let consent: ConsentState | null = null;
+  // Set by optIn()/optOut() before storage was ready, stored once it is
+  let isConsentPending = false;
+  let optionEventHooks: BeforeEventHook[] = [];
+  let optionLogHooks: BeforeLogHook[] = [];
+  const eventHooks: BeforeEventHook[] = [];
+  const logHooks: BeforeLogHook[] = [];
+  let defaultProps: DefaultProps = {};
+  let persistDefaults = false;
+  const scopeStack: DefaultProps[] = [];
+  const listeners: { [K in ClientEventName]: ClientEventListener<K>[] } = {
+    sent: [],
+    failed: [],
+    dropped: [],
+    ready: [],
+  };
+  let maxEvents = DEFAULT_MAX_EVENTS;
+  let maxLogs = DEFAULT_MAX_LOGS;
+  let maxQueueBytes = DEFAULT_MAX_QUEUE_BYTES;
+  let validation: ValidationMode = 'off';
+  let trackingSpec: TrackingSpec | null = null;
+  let debug = false;
+  let dryRun = false;
+  let pageTracker: PageTracker | null = null;
+  let webVitals: WebVitalsTracker | null = null;
+  let minLogLevel: LogLevel = 'debug';
+  let restoreConsole: (() => void) | null = null;
+  let internalLogDepth = 0;
+  let throttle: Throttle | null = null;
+  let collapseRepeatedLogs = false;
+  let lastLog: {
+    key: string;
+    line: string;
+    level: unknown;
+    count: number;
+  } | null = null;
+  let dropReportInterval: ReturnType<typeof setInterval> | null = null;
+  let relayTimeout: number | null = null;
+  let errorReporter: ErrorReporter = createErrorReporter(_logError, {});
+  let crossTab = true;
+  let tabs: TabCoordinator | null = null;
+  // Last queue json this tab read or wrote, anything else came from another tab
+  const syncedJson: Record<string, string | null> = {};
+  let queueChanges: Record<QueueName, QueueChanges> = _newQueueChanges();
+
+  let isReadyFlag = false;
+  let isSending = false;
+  let sendTimeout: ReturnType<typeof setTimeout> | null = null;
+
+  let apiKey: string | null = null;
+  let orgName: string | null = null;
+  let appVer = '0';
+
+  let userTag: string | null = null;
+  let isUserTagPending = false;
+  let eventList: InternalEvent[] = [];
+  let hasSendInstall = false;
+  let lastDAUTime = 0;
+  let sessionKey: string | null = null;
+  let session: SessionState | null = null;
+  let sessionTimeout = DEFAULT_SESSION_TIMEOUT_MS;
+  let sessionEvents = true;
+  let timers: Record<string, TimerState> = {};
+  let timerField: FloatField = 'float1';
+  let pauseTimersWhenHidden = true;
+  let timerExpiry = DEFAULT_TIMER_EXPIRY_MS;
+  let deviceTag: string | null = null;
+  let nextIndex = 0;
+
+  let logTimeout: ReturnType<typeof setTimeout> | null = null;
+  let isLogSending = false;
+  let dauInterval: NodeJS.Timeout | number | null = null;
+
+  let activeRequests = 0;
+  let flushPromise: Promise<void> | null = null;
+  let flushResolve: (() => void) | null = null;
+
+  let eventBackoff: Backoff = createBackoff({});
+  let logBackoff: Backoff = createBackoff({});
+  let connectivity: Connectivity | null = null;
+  let eventBatching: BatchOptions = {};
+  let logBatching: BatchOptions = {};
+  let gzipThreshold: number | null = null;
+  let clock: Clock = createClock();
+
+  let defaultBundle: DefaultBundle = {};
+
+  let logList: InternalLog[] = [];
+  const inFlight = new Set<string>();
+
+  let errorLogFn: (...args: unknown[]) => void = _defaultErrorLog;
+
+  function _errorLog(...args: unknown[]): void {
+    _internalLog(errorLogFn, args);
+  }
+  function _debug(...args: unknown[]): void {
+    _internalLog(_debugLog, args);
+  }
+  function _internalLog(
+    fn: (...args: unknown[]) => void,
+    args: unknown[]
+  ): void {
+    // Our own output must not come back in through captureConsole
+    internalLogDepth++;
+    try {
+      fn(...args);
+    } finally {
+      internalLogDepth--;
+    }
+  }
+
+  function _readStoredJson(name: string): string | null {
+    try {
+      return storage?.getItem(storagePrefix + name) ?? null;
+    } catch {
+      // Storage blocked (sandboxed iframe etc.), treat as empty
+      return null;
+    }
+  }
+  function _getStoredItem<T>(name: string): T | undefined {
+    let ret: T | undefined;
+    const json = _readStoredJson(name);
+    if (json !== null) {
+      try {
+        ret = JSON.parse(json);
+      } catch {
+        // _errorLog("Failed to parse:",name,"json:",json);
+      }
+    }
+    return ret;
+  }
+  function _setStoredItem(name: string, value: unknown): void {
+    _writeStoredJson(name, JSON.stringify(value));
+  }
+  function _writeStoredJson(name: string, json: string): void {
+    if (storage && isLoaded) {
+      try {
+        storage.setItem(storagePrefix + name, json);
+      } catch (e) {
+        _fallbackToMemory(e);
+        storage.setItem(storagePrefix + name, json);
+      }
+      syncedJson[name] = json;
+    }
+  }
+  function _clearStoredItem(name: string): void {
+    try {
+      storage?.removeItem(storagePrefix + name);
+    } catch {
+      // Nothing stored to clear
+    }
+  }
+  function _fallbackToMemory(err: unknown): void {
+    _errorLog('Storage failed, keeping data in memory only:', err);
+    storage = createMemoryStorage();
+    // Nothing is shared any more, this tab sends its own queue
+    crossTab = false;
+    tabs?.stop();
+    tabs = null;
+  }
+  function _syncQueues(): void {
+    if (tabs && isLoaded) {
+      eventList = _syncedList('event_list', eventList);
+      logList = _syncedList('log_list', logList);
+    }
+  }
+  function _syncedList<T extends QueueRecord>(name: QueueName, list: T[]): T[] {
+    const json = _readStoredJson(name);
+    if (json === syncedJson[name]) {
+      return list;
+    }
+    syncedJson[name] = json;
+    let stored: T[] = [];
+    try {
+      stored = (JSON.parse(json ?? '[]') as T[] | null) ?? [];
+    } catch {
+      // Start over from this tab's own changes
+    }
+    return _replayQueueChanges(name, stored);
+  }
+  // Another tab may have written since this one read, so only this tab's own
+  // changes are applied on top of what is stored now
+  function _replayQueueChanges<T extends QueueRecord>(
+    name: QueueName,
+    stored: T[]
+  ): T[] {
+    const { cleared, records, removed } = queueChanges[name];
+    const pending = new Map(records);
+    const ret = (cleared ? [] : stored)
+      .filter((r) => !removed.has(_recordKey(r)))
+      .map((r) => {
+        const key = _recordKey(r);
+        const record = pending.get(key) ?? r;
+        pending.delete(key);
+        return record as T;
+      });
+    for (const record of pending.values()) {
+      ret.push(record as T);
+    }
+    return ret;
+  }
+  function _putQueued(name: QueueName, records: QueueRecord[]): void {
+    const changes = queueChanges[name];
+    for (const record of records) {
+      const key = _recordKey(record);
+      changes.removed.delete(key);
+      changes.records.set(key, record);
+    }
+  }
+  function _removeQueued(name: QueueName, records: QueueRecord[]): void {
+    const changes = queueChanges[name];
+    for (const record of records) {
+      const key = _recordKey(record);
+      changes.records.delete(key);
+      changes.removed.add(key);
+    }
+  }
+  function _storeQueues(): void {
+    if (tabs) {
+      // Under the queue lock so no other tab writes between our read and write
+      tabs.writeQueue(_writeQueues);
+    } else {
+      _writeQueues();
+    }
+  }
+  function _writeQueues(): void {
+    _syncQueues();
+    const changes = queueChanges;
+    queueChanges = _newQueueChanges();
+    if (_hasQueueChanges(changes.event_list)) {
+      _storeQueue('event_list', eventList, maxEvents);
+    }
+    if (_hasQueueChanges(changes.log_list)) {
+      _storeQueue('log_list', logList, maxLogs);
+    }
+  }
+  function _storeQueue<T extends QueueRecord>(
+    name: QueueName,
+    list: T[],
+    maxLength: number
+  ): void {
+    const dropped: T[] = [];
+    if (list.length > maxLength) {
+      dropped.push(...list.splice(0, list.length - maxLength));
+    }
+    let json = JSON.stringify(list);
+    // UTF-8 is at most 3 bytes per UTF-16 unit, skip encoding when it can't matter
+    if (json.length * 3 > maxQueueBytes) {
+      let size = _byteLength(json);
+      const trimmed = dropped.length;
+      while (size > maxQueueBytes && list.length > 1) {
+        const item = list.shift() as T;
+        size -= _byteLength(JSON.stringify(item)) + 1;
+        dropped.push(item);
+      }
+      if (dropped.length > trimmed) {
+        json = JSON.stringify(list);
+      }
+    }
+    _writeStoredJson(name, json);
+    if (tabs && !tabs.isSender()) {
+      tabs.notify();
+    }
+    if (dropped.length > 0) {
+      const info = _deliveryInfo(name === 'log_list', dropped, null);
+      _emit('dropped', { ...info, reason: 'queue_full' });
+    }
+  }
+
+  function _loadDeviceTag(): string {
+    let text = _getStoredItem<string>('device_tag') ?? null;
+    if (!text) {
+      text = _generateRandomString();
+      _setStoredItem('device_tag', text);
+    }
+    return text;
+  }
+
+  function init(opts: InitOptions): void {
+    const spec = opts.trackingSpec
+      ? parseTrackingSpec(opts.trackingSpec)
+      : null;
+    const count = ++initCount;
+    if (isLoaded) {
+      // Anything queued so far is persisted under the old settings
+      _writeQueues();
+      eventList = [];
+      logList = [];
+      isLoaded = false;
+    }
+    initOpts = opts;
+    isStorageReady = false;
+    isReadyFlag = false;
+    if (!isConsentPending) {
+      consent = null;
+    }
+    deviceTag = null;
+    _stopTimers();
+    tabs?.stop();
+    tabs = null;
+    storagePrefix = opts.namespace ? `dc.${opts.namespace}.` : 'dc.';
+    optionEventHooks = opts.beforeEvent ?? [];
+    optionLogHooks = opts.beforeLog ?? [];
+    persistDefaults = opts.persistDefaults ?? false;
+    maxEvents = opts.maxEvents ?? DEFAULT_MAX_EVENTS;
+    maxLogs = opts.maxLogs ?? DEFAULT_MAX_LOGS;
+    maxQueueBytes = opts.maxQueueBytes ?? DEFAULT_MAX_QUEUE_BYTES;
+    sessionTimeout = opts.sessionTimeout ?? DEFAULT_SESSION_TIMEOUT_MS;
+    sessionEvents = opts.sessionEvents ?? true;
+    trackingSpec = spec;
+    const { throttling } = opts;
+    throttle = throttling ? createThrottle(throttling, clock.monotonic) : null;
+    collapseRepeatedLogs = throttling?.collapseRepeatedLogs ?? false;
+    lastLog = null;
+    // A spec is only useful if someone hears about calls that break it
+    validation = opts.validation ?? (spec ? 'warn' : 'off');
+    timerField = opts.timerField ?? 'float1';
+    pauseTimersWhenHidden = opts.pauseTimersWhenHidden ?? true;
+    timerExpiry = opts.timerExpiry ?? DEFAULT_TIMER_EXPIRY_MS;
+    debug = opts.debug ?? false;
+    dryRun = opts.dryRun ?? false;
+    clock = createClock();
+    eventBatching = opts.eventBatching ?? {};
+    logBatching = opts.logBatching ?? {};
+    const { compression } = opts;
+    gzipThreshold =
+      compression === undefined || compression === false
+        ? null
+        : ((compression === true ? undefined : compression.threshold) ??
+          DEFAULT_COMPRESSION_THRESHOLD);
+    eventBackoff = createBackoff(opts.retry ?? {});
+    logBackoff = createBackoff(opts.retry ?? {});
+    const { relay } = opts;
+    relayTimeout =
+      relay === undefined || relay === false
+        ? null
+        : ((relay === true ? undefined : relay.ackTimeout) ??
+          DEFAULT_RELAY_ACK_TIMEOUT_MS);
+    connectivity?.stop();
+    connectivity =
+      (opts.retry?.pauseWhenOffline ?? true)
+        ? watchConnectivity(_onConnectivity)
+        : null;
+
+    ({ apiKey, orgName } = opts);
+    appVer = opts.appVer ?? '0';
+
+    // Set custom error logging function if provided
+    if (opts.errorLog && typeof opts.errorLog === 'function') {
+      errorLogFn = opts.errorLog;
+    }
+
+    // Workers have no localStorage
+    const requested = opts.storage ?? (hasDom() ? 'localStorage' : 'indexedDB');
+    const adapter =
+      typeof requested === 'string' ? createStorage(requested) : requested;
+    storage = adapter;
+    adapter.onError = (err) => {
+      if (storage === adapter) {
+        _fallbackToMemory(err);
+      }
+    };
+    // Only localStorage is both shared between tabs and read through
+    crossTab =
+      (opts.crossTab ?? true) && requested === 'localStorage' && hasDom();
+    if (!storage.ready && !isStorageAvailable(storage)) {
+      _fallbackToMemory(`${String(requested)} is not available`);
+    }
+
+    errorReporter.stop();
+    const { addErrorHandler } = opts;
+    errorReporter = createErrorReporter(
+      _logError,
+      typeof addErrorHandler === 'object' ? addErrorHandler : {}
+    );
+    if (addErrorHandler !== undefined && addErrorHandler !== false) {
+      errorReporter.start();
+    }
+    if (hasDom()) {
+      document.addEventListener('visibilitychange', _onTimerVisibility);
+      if (opts.sendOnUnload ?? true) {
+        document.addEventListener('visibilitychange', _onVisibilityChange);
+        window.addEventListener('pagehide', _drainOnUnload);
+      }
+    }
+
+    minLogLevel = opts.logLevel ?? 'debug';
+    restoreConsole?.();
+    restoreConsole = null;
+    if (opts.captureConsole !== undefined && opts.captureConsole !== false) {
+      const methods =
+        opts.captureConsole === true
+          ? DEFAULT_CONSOLE_METHODS
+          : (opts.captureConsole.methods ?? DEFAULT_CONSOLE_METHODS);
+      restoreConsole = captureConsole(_onConsole, methods);
+    }
+
+    pageTracker?.stop();
+    pageTracker = null;
+    if (
+      hasDom() &&
+      opts.pageTracking !== undefined &&
+      opts.pageTracking !== false
+    ) {
+      pageTracker = startPageTracking(
+        _sdkEvent,
+        opts.pageTracking === true ? {} : opts.pageTracking
+      );
+    }
+    webVitals?.stop();
+    webVitals = null;
+    if (hasDom() && opts.webVitals !== undefined && opts.webVitals !== false) {
+      webVitals = startWebVitals(
+        _sdkEvent,
+        _sdkLog,
+        opts.webVitals === true ? {} : opts.webVitals,
+        (url) => url.startsWith(apiBaseUrl)
+      );
+    }
+
+    if (storage.ready) {
+      storage.ready
+        .catch((err: unknown) => {
+          _fallbackToMemory(err);
+        })
+        .then(() => {
+          if (count === initCount) {
+            _load(opts);
+          }
+        })
+        .catch(_errorLog);
+    } else {
+      _load(opts);
+    }
+  }
+  function _load(opts: InitOptions): void {
+    isStorageReady = true;
+    // An optIn()/optOut() call made before init or while storage was loading
+    // wins over the stored choice
+    if (isConsentPending) {
+      isConsentPending = false;
+      _storeConsent();
+      if (consent === 'denied') {
+        _clearStoredState();
+      }
+    } else if (consent === null) {
+      const stored = _getStoredItem<ConsentState>('consent');
+      if (stored === 'granted' || stored === 'denied') {
+        consent = stored;
+      } else if ((opts.respectDoNotTrack ?? false) && _isDoNotTrack()) {
+        consent = 'denied';
+      } else {
+        consent = (opts.requireConsent ?? false) ? 'pending' : 'granted';
+      }
+    }
+    if (consent === 'granted') {
+      _start(opts);
+    } else if (consent === 'denied') {
+      eventList = [];
+      logList = [];
+      queueChanges = _newQueueChanges();
+    }
+  }
+  function _start(opts: InitOptions): void {
+    isLoaded = true;
+
+    const baseUrl =
+      opts.baseUrl ??
+      _getStoredItem<string | false>('base_url') ??
+      API_BASE_URL;
+    apiBaseUrl = typeof baseUrl === 'string' ? baseUrl : API_BASE_URL;
+
+    if (isUserTagPending) {
+      // Set before storage was ready
+      addUserTag(userTag);
+      isUserTagPending = false;
+    } else {
+      userTag = _getStoredItem<string>('user_tag') ?? null;
+    }
+    const { deviceTag: forcedDeviceTag } = opts;
+    if (forcedDeviceTag) {
+      deviceTag = forcedDeviceTag;
+      _setStoredItem('device_tag', forcedDeviceTag);
+    } else {
+      deviceTag = _loadDeviceTag();
+    }
+    const clockOffset = _getStoredItem<number>('clock_offset');
+    if (clockOffset !== undefined) {
+      clock.restore(clockOffset);
+    }
+    if (persistDefaults) {
+      const stored = _getStoredItem<DefaultProps>('defaults') ?? {};
+      defaultProps = Object.assign(stored, defaultProps);
+      _setStoredItem('defaults', defaultProps);
+    }
+
+    const pendingEvents = eventList;
+    // Events get their index, and so their key, only now
+    queueChanges = _newQueueChanges();
+    eventList = _getStoredItem<InternalEvent[]>('event_list') ?? [];
+    nextIndex = _getStoredItem<number>('next_index') ?? 0;
+    for (const e of eventList) {
+      if (e.event_index && e.event_index >= nextIndex) {
+        nextIndex = e.event_index + 1;
+      }
+    }
+    session = null;
+    _touchSession(false);
+    for (const e of pendingEvents) {
+      e.event_index = nextIndex++;
+      if (!e.session_key && sessionKey) {
+        e.session_key = sessionKey;
+        e.group_tag = sessionKey;
+      }
+      if (e.user_tag === undefined) {
+        e.user_tag = userTag;
+      }
+      e.device_tag ??= deviceTag;
+      eventList.push(e);
+    }
+    if (pendingEvents.length > 0) {
+      _putQueued('event_list', pendingEvents);
+      _storeQueues();
+    }
+
+    // Timers started before storage was ready win over stored ones
+    timers = Object.assign(
+      _getStoredItem<Record<string, TimerState>>('timers') ?? {},
+      timers
+    );
+    _expireTimers(Date.now());
+    if (!_isHidden()) {
+      _resumeTimers(Date.now());
+    }
+    _setStoredItem('timers', timers);
+
+    const pendingLogs = logList;
+    logList = _getStoredItem<InternalLog[]>('log_list') ?? [];
+    const hasUnkeyed = logList.some((l) => !l.log_key);
+    for (const l of logList) {
+      // Queued by an older version
+      l.log_key ??= _generateRandomString();
+    }
+    for (const l of pendingLogs) {
+      _stampLog(l);
+    }
+    if (pendingLogs.length > 0 || hasUnkeyed) {
+      logList.push(...pendingLogs);
+      _putQueued('log_list', hasUnkeyed ? logList : pendingLogs);
+      _storeQueues();
+    }
+
+    lastDAUTime = 0;
+    hasSendInstall = false;
+    tabs?.stop();
+    tabs =
+      crossTab && storage
+        ? startTabCoordination(
+            storagePrefix,
+            storage,
+            [`${storagePrefix}event_list`, `${storagePrefix}log_list`],
+            { onSender: _onSender, onQueueChange: _onQueueChange }
+          )
+        : null;
+    _maybeSendInstall();
+    _maybeAddDau();
+    _stopTimers();
+    dauInterval = setInterval(_maybeAddDau, 12 * 60 * 60 * 1000);
+    if (throttle) {
+      dropReportInterval = setInterval(
+        _reportDropped,
+        opts.throttling?.reportInterval ?? DEFAULT_DROP_REPORT_INTERVAL_MS
+      );
+    }
+
+    defaultBundle = _defaultBundle(opts.deviceDetails);
+    detectHighEntropy()
+      .then((info) => {
+        Object.assign(defaultBundle, info);
+      })
+      .catch(() => {
+        // The UA string values stay
+      });
+    isReadyFlag = true;
+    _emit('ready', { deviceTag });
+    _sendEventsLater();
+    _sendLogsLater();
+  }
+  function optIn(): void {
+    consent = 'granted';
+    if (isStorageReady && initOpts) {
+      if (!isLoaded) {
+        _start(initOpts);
+      }
+      _storeConsent();
+    } else {
+      isConsentPending = true;
+    }
+  }
+  function optOut(): void {
+    consent = 'denied';
+    isReadyFlag = false;
+    _stopTimers();
+    tabs?.stop();
+    tabs = null;
+
+    eventList = [];
+    logList = [];
+    queueChanges = _newQueueChanges();
+    userTag = null;
+    deviceTag = null;
+    session = null;
+    sessionKey = null;
+    timers = {};
+    isLoaded = false;
+    if (isStorageReady) {
+      _clearStoredState();
+      _storeConsent();
+    } else {
+      isConsentPending = true;
+    }
+  }
+  function _clearStoredState(): void {
+    for (const name of [
+      'event_list',
+      'log_list',
+      'user_tag',
+      'device_tag',
+      'session',
+      'timers',
+    ]) {
+      _clearStoredItem(name);
+    }
+  }
+  function _storeConsent(): void {
+    // Written even while other writes are blocked, it is the user's choice
+    try {
+      storage?.setItem(`${storagePrefix}consent`, JSON.stringify(consent));
+    } catch {
+      // The choice still applies for this page
+    }
+  }
+  function captureException(err: unknown, context?: ErrorContext): void {
+    errorReporter.captureException(err, context);
+  }
+  function _logError(props: LogEventProps): void {
+    // Throwing from an error handler would just report another error
+    try {
+      logEvent(props);
+    } catch (e) {
+      _errorLog('Failed to report error:', e);
+    }
+  }
+  function _onVisibilityChange(): void {
+    if (document.visibilityState === 'hidden') {
+      // Queue the time on page before draining so it goes out with the rest
+      pageTracker?.pause();
+      webVitals?.pause();
+      _drainOnUnload();
+    }
+  }
+
+  function isReady(): boolean {
+    return isReadyFlag;
+  }
+  function getDeviceTag(): string | null {
+    return deviceTag;
+  }
+  function addUserTag(newUserTag: string | null): void {
+    userTag = newUserTag ? String(newUserTag) : null;
+    if (!isLoaded) {
+      isUserTagPending = true;
+    } else if (userTag) {
+      _setStoredItem('user_tag', userTag);
+    } else {
+      _clearStoredItem('user_tag');
+    }
+  }
+  function identify(newUserTag: string, opts?: IdentifyOptions): void {
+    if (!newUserTag) {
+      throw new Error('userTag is required');
+    }
+    const previous = userTag;
+    addUserTag(newUserTag);
+    if ((opts?.alias ?? false) && previous !== userTag) {
+      // Sent under the new user tag, so the bundle links it to this device
+      const e: InternalEvent = { type: 'event', kingdom: 'alias' };
+      if (deviceTag) {
+        e.from_tag = deviceTag;
+      }
+      _internalEventAdd(e);
+    }
+  }
+  function reset(opts?: ResetOptions): void {
+    _rotateSession(() => {
+      addUserTag(null);
+      if ((opts?.rotateDeviceTag ?? false) && isLoaded) {
+        deviceTag = _generateRandomString();
+        _setStoredItem('device_tag', deviceTag);
+      }
+    });
+  }
+  function event(props: EventProps): void {
+    if (typeof props !== 'object' || (props as unknown) === null) {
+      throw new Error('props must be an object');
+    }
+    _internalEventAdd(_withDefaults(props, 'event'), true);
+  }
+  // Page views and web vitals: not the app's own events, so they aren't held
+  // to its tracking spec and never throw into its router or unload handling
+  function _sdkEvent(props: EventProps): void {
+    _internalEventAdd(_withDefaults(props, 'event'), true, true);
+  }
+  function _sdkLog(props: LogEventProps): void {
+    _internalLogAdd(props, true, true);
+  }
+  function economyEvent(props: EconomyEventProps): void {
+    if (typeof props !== 'object' || (props as unknown) === null) {
+      throw new Error('props must be an object');
+    }
+    if (!props.spend_currency) {
+      throw new Error('spend_currency is required');
+    }
+    if (typeof props.spend_amount !== 'number') {
+      throw new Error('spend_amount is required');
+    }
+
+    _internalEventAdd(_withDefaults(props, 'economy'), true);
+  }
+  function messageSendEvent(props: MessageSendEventProps): void {
+    if (typeof props !== 'object' || (props as unknown) === null) {
+      throw new Error('props must be an object');
+    }
+    if (!props.from_tag) {
+      throw new Error('from_tag is required');
+    }
+    if (!props.to_tag && !props.to_list) {
+      throw new Error('to_tag or to_list is required');
+    }
+    if (props.to_list && !Array.isArray(props.to_list)) {
+      throw new Error('to_list must be an array.');
+    }
+    props.to_list ??= [];
+    if (props.to_tag) {
+      props.to_list.push(props.to_tag);
+    }
+    if (props.to_list.length === 0) {
+      throw new Error('must have at least 1 in to_list or a to_tag');
+    }
+
+    _internalEventAdd(_withDefaults(props, 'message_send'), true);
+  }
+  function logEvent(props: LogEventProps): void {
+    _internalLogAdd(props, true);
+  }
+  function _internalLogAdd(
+    props: LogEventProps,
+    isUserLog?: boolean,
+    isSdkLog?: boolean
+  ): void {
+    if (typeof props !== 'object' || (props as unknown) === null) {
+      throw new Error('props must be an object.');
+    }
+    if (consent === 'denied') {
+      return;
+    }
+    const hooked = _runHooks(
+      [...optionLogHooks, ...logHooks],
+      props,
+      'log',
+      _errorLog
+    );
+    if (!hooked) {
+      return;
+    }
+    if (validation !== 'off') {
+      _validate('log', validateLog(hooked), !(isSdkLog ?? false));
+    }
+
+    // Create a mutable copy to work with
+    const mutableProps = hooked as Record<string, unknown>;
+
+    for (const p in LOG_STRING_PROP_MAP) {
+      if (p in mutableProps) {
+        const max_len = LOG_STRING_PROP_MAP[p];
+        const val = mutableProps[p];
+        if (val !== undefined && val !== null) {
+          mutableProps[p] = String(val).slice(0, max_len);
+        } else {
+          mutableProps[p] = undefined;
+        }
+      }
+    }
+    for (const p of LOG_NUMBER_PROP_LIST) {
+      if (p in mutableProps) {
+        let val = mutableProps[p];
+        if (typeof val !== 'number') {
+          val = parseFloat(String(val));
+        }
+        if (typeof val === 'number' && isFinite(val)) {
+          mutableProps[p] = val;
+        } else {
+          mutableProps[p] = undefined;
+        }
+      }
+    }
+
+    const e: InternalLog = {};
+    for (const key of LOG_PROP_LIST) {
+      if (key in mutableProps) {
+        (e as Record<string, unknown>)[key] = mutableProps[key];
+      }
+    }
+    if ((isUserLog ?? false) && _throttleLog(e)) {
+      return;
+    }
+    if (e.event_datetime === undefined) {
+      _stampTime(e);
+    }
+    if (isLoaded || isUserTagPending) {
+      _stampLog(e);
+    }
+    if (debug) {
+      _debug('queued log', e);
+    }
+    e.log_key = _generateRandomString();
+    if (collapseRepeatedLogs) {
+      lastLog = {
+        key: e.log_key,
+        line: e.log_line ?? '',
+        level: e.log_level,
+        count: 0,
+      };
+    }
+    _syncQueues();
+    logList.push(e);
+    _putQueued('log_list', [e]);
+    _storeQueues();
+    _sendLogsLater();
+  }
+  // Returns true when the log was dropped or folded into the previous one
+  function _throttleLog(l: InternalLog): boolean {
+    if (
+      lastLog &&
+      lastLog.line === (l.log_line ?? '') &&
+      lastLog.level === l.log_level
+    ) {
+      _syncQueues();
+      const { key } = lastLog;
+      const queued = logList.find((q) => q.log_key === key);
+      if (queued && !inFlight.has(key)) {
+        lastLog.count++;
+        // Shorten the line rather than lose the count off the end
+        const suffix = ` (repeated ${lastLog.count} more times)`;
+        queued.log_line =
+          lastLog.line.slice(0, MAX_LOG_LINE_LENGTH - suffix.length) + suffix;
+        throttle?.count('log', 'repeated');
+        _putQueued('log_list', [queued]);
+        _storeQueues();
+        return true;
+      }
+      // Already on its way, this one starts the next run
+    }
+    return (throttle?.check('log', deviceTag, l) ?? null) !== null;
+  }
+  function _reportDropped(): void {
+    const dropped = throttle?.takeDropped();
+    if (!dropped) {
+      return;
+    }
+    for (const type of ['event', 'log'] as const) {
+      for (const [reason, count] of Object.entries(dropped[type])) {
+        _emit('dropped', {
+          type,
+          indexes: [],
+          count,
+          status: null,
+          retryCount: 0,
+          reason: reason as ThrottleReason,
+        });
+      }
+    }
+    _internalLogAdd({ log_level: 'warn', log_line: formatDropped(dropped) });
+  }
+  function _stampLog(l: LogEventProps): void {
+    if (l.user_tag === undefined && userTag) {
+      l.user_tag = userTag;
+    }
+    if (l.device_tag === undefined && deviceTag) {
+      l.device_tag = deviceTag;
+    }
+  }
+  function log(...args: unknown[]): void {
+    logEvent({ log_line: _formatLogLine(args) });
+  }
+  const logger: Logger = {
+    debug: (...args) => {
+      _logAtLevel('debug', args);
+    },
+    info: (...args) => {
+      _logAtLevel('info', args);
+    },
+    warn: (...args) => {
+      _logAtLevel('warn', args);
+    },
+    error: (...args) => {
+      _logAtLevel('error', args);
+    },
+  };
+  function _logAtLevel(level: LogLevel, args: unknown[]): void {
+    const log_line = _formatLogLine(args);
+    if (LOG_LEVEL_LIST.indexOf(level) >= LOG_LEVEL_LIST.indexOf(minLogLevel)) {
+      logEvent({ log_line, log_level: level });
+    }
+  }
+  function _onConsole(method: ConsoleMethod, args: unknown[]): void {
+    if (internalLogDepth === 0) {
+      _logAtLevel(method === 'log' ? 'info' : method, args);
+    }
+  }
+  function _isSender(): boolean {
+    return tabs?.isSender() ?? true;
+  }
+  function _onSender(): void {
+    // Took over from a tab that went away, pick up whatever it left queued
+    if (isReadyFlag) {
+      _maybeSendInstall();
+      _maybeAddDau();
+      _sendEventsLater();
+      _sendLogsLater();
+    }
+  }
+  function _onQueueChange(): void {
+    if (isReadyFlag && _isSender()) {
+      _sendEventsLater();
+      _sendLogsLater();
+    }
+  }
+  function _maybeSendInstall(): void {
+    // Only the sending tab checks, another tab may have sent it already
+    if (!_isSender()) {
+      return;
+    }
+    hasSendInstall ||=
+      (_getStoredItem<boolean>('has_sent_install') ?? false) ||
+      Boolean(_getStoredItem<number>('last_dau_time'));
+    if (!hasSendInstall) {
+      hasSendInstall = true;
+      _setStoredItem('has_sent_install', true);
+
+      _internalEventAdd({
+        type: 'install',
+        kingdom: 'organic',
+        phylum: 'organic',
+        class: 'organic',
+        order: 'organic',
+        family: 'organic',
+        genus: 'organic',
+        species: 'organic',
+      });
+    }
+  }
+  function _maybeAddDau(): void {
+    if (!_isSender()) {
+      return;
+    }
+    lastDAUTime = Math.max(
+      lastDAUTime,
+      _getStoredItem<number>('last_dau_time') ?? 0
+    );
+    const delta = Date.now() - lastDAUTime;
+    if (delta > 24 * 60 * 60 * 1000) {
+      _internalEventAdd({ type: 'dau' });
+      lastDAUTime = Date.now();
+      _setStoredItem('last_dau_time', lastDAUTime);
+    }
+  }
+  function _currentSession(now: number): SessionState {
+    // Another tab may have extended or replaced the session since we last looked
+    const stored = _getStoredItem<SessionState>('session') ?? session;
+    if (stored && now - stored.last_time < sessionTimeout) {
+      session = stored;
+    } else {
+      if (stored) {
+        _endSession(stored);
+      }
+      session = _beginSession(now);
+    }
+    sessionKey = session.key;
+    return session;
+  }
+  function _touchSession(isEvent: boolean): void {
+    if (isLoaded) {
+      const now = Date.now();
+      const current = _currentSession(now);
+      current.last_time = now;
+      if (isEvent) {
+        current.event_count++;
+      }
+      _setStoredItem('session', current);
+    }
+  }
+  function _beginSession(now: number): SessionState {
+    const new_session: SessionState = {
+      key: _generateRandomString(),
+      start_time: now,
+      last_time: now,
+      event_count: 0,
+    };
+    if (sessionEvents) {
+      const record: InternalEvent = {
+        type: 'event',
+        kingdom: 'session_start',
+        session_key: new_session.key,
+      };
+      _stampTime(record, now);
+      _internalEventAdd(record);
+    }
+    return new_session;
+  }
+  function _endSession(old_session: SessionState): void {
+    if (sessionEvents) {
+      const record: InternalEvent = {
+        type: 'event',
+        kingdom: 'session_end',
+        float1: Math.round(
+          (old_session.last_time - old_session.start_time) / 1000
+        ),
+        float2: old_session.event_count,
+        session_key: old_session.key,
+      };
+      _stampTime(record, old_session.last_time);
+      _internalEventAdd(record);
+    }
+  }
+  function getSessionKey(): string | null {
+    if (isLoaded) {
+      const current = _currentSession(Date.now());
+      _setStoredItem('session', current);
+    }
+    return sessionKey;
+  }
+  function startNewSession(): void {
+    _rotateSession();
+  }
+  function _rotateSession(between?: () => void): void {
+    if (isLoaded) {
+      const now = Date.now();
+      const stored = _getStoredItem<SessionState>('session') ?? session;
+      if (stored) {
+        if (now - stored.last_time < sessionTimeout) {
+          stored.last_time = now;
+        }
+        _endSession(stored);
+      }
+      between?.();
+      session = _beginSession(now);
+      sessionKey = session.key;
+      _setStoredItem('session', session);
+    } else {
+      between?.();
+    }
+  }
+  function setDefaults(props: DefaultProps): void {
+    if (typeof props !== 'object' || (props as unknown) === null) {
+      throw new Error('props must be an object');
+    }
+    Object.assign(defaultProps, _cleanupDefaults(props));
+    _storeDefaults();
+  }
+  function clearDefaults(keys?: (keyof DefaultProps)[]): void {
+    if (keys) {
+      for (const key of keys) {
+        delete defaultProps[key];
+      }
+    } else {
+      defaultProps = {};
+    }
+    _storeDefaults();
+  }
+  function _storeDefaults(): void {
+    if (persistDefaults) {
+      _setStoredItem('defaults', defaultProps);
+    }
+  }
+  function withScope<T>(props: DefaultProps, fn: () => T): T {
+    if (typeof props !== 'object' || (props as unknown) === null) {
+      throw new Error('props must be an object');
+    }
+    scopeStack.push(_cleanupDefaults(props));
+    try {
+      return fn();
+    } finally {
+      scopeStack.pop();
+    }
+  }
+  function _withDefaults(props: EventProps, type: string): InternalEvent {
+    const ret = Object.assign({} as InternalEvent, defaultProps, ...scopeStack);
+    if (type !== 'economy') {
+      for (const key of ECONOMY_PROP_LIST) {
+        delete ret[key];
+      }
+    }
+    return Object.assign(ret, props, { type });
+  }
+  function startTimer(key: string, props?: EventProps): void {
+    if (typeof key !== 'string' || !key) {
+      throw new Error('timer key is required');
+    }
+    const now = Date.now();
+    timers[key] = {
+      props: Object.assign({}, props),
+      start_time: now,
+      elapsed: 0,
+      running_since: _isHidden() && pauseTimersWhenHidden ? null : now,
+    };
+    _setStoredItem('timers', timers);
+  }
+  function endTimer(key: string, extraProps?: EventProps): number | null {
+    const now = Date.now();
+    _expireTimers(now);
+    const timer = timers[key];
+    if (!timer) {
+      return null;
+    }
+    delete timers[key];
+    _setStoredItem('timers', timers);
+
+    const elapsed = Math.round(
+      timer.elapsed +
+        (timer.running_since === null ? 0 : now - timer.running_since)
+    );
+    const props = Object.assign({}, timer.props, extraProps);
+    props[timerField] = elapsed;
+    event(props);
+    return elapsed;
+  }
+  function cancelTimer(key: string): boolean {
+    if (!(key in timers)) {
+      return false;
+    }
+    delete timers[key];
+    _setStoredItem('timers', timers);
+    return true;
+  }
+  function _expireTimers(now: number): void {
+    for (const key of Object.keys(timers)) {
+      if (now - (timers[key]?.start_time ?? 0) > timerExpiry) {
+        delete timers[key];
+      }
+    }
+  }
+  function _resumeTimers(now: number): void {
+    for (const timer of Object.values(timers)) {
+      timer.running_since ??= now;
+    }
+  }
+  function _onTimerVisibility(): void {
+    if (pauseTimersWhenHidden) {
+      const now = Date.now();
+      if (_isHidden()) {
+        for (const timer of Object.values(timers)) {
+          if (timer.running_since !== null) {
+            timer.elapsed += now - timer.running_since;
+            timer.running_since = null;
+          }
+        }
+      } else {
+        _resumeTimers(now);
+      }
+      _setStoredItem('timers', timers);
+    }
+  }
+  function beforeEvent(hook: BeforeEventHook): () => void {
+    eventHooks.push(hook);
+    return () => {
+      const index = eventHooks.indexOf(hook);
+      if (index !== -1) {
+        eventHooks.splice(index, 1);
+      }
+    };
+  }
+  function beforeLog(hook: BeforeLogHook): () => void {
+    logHooks.push(hook);
+    return () => {
+      const index = logHooks.indexOf(hook);
+      if (index !== -1) {
+        logHooks.splice(index, 1);
+      }
+    };
+  }
+  function _validate(
+    kind: string,
+    diagnostics: ValidationDiagnostic[],
+    canThrow?: boolean
+  ): void {
+    if (diagnostics.length > 0) {
+      if (validation === 'throw' && (canThrow ?? true)) {
+        throw new ValidationError(diagnostics);
+      } else if (validation !== 'off') {
+        _errorLog(`invalid ${kind}:`, diagnostics);
+      }
+    }
+  }
+  function _internalEventAdd(
+    record: InternalEvent,
+    isUserEvent?: boolean,
+    isSdkEvent?: boolean
+  ): void {
+    if (consent === 'denied') {
+      return;
+    }
+    const record_key = record.session_key;
+    const e: InternalEvent | null = _runHooks(
+      [...optionEventHooks, ...eventHooks],
+      record,
+      (record.type ?? 'event') as RecordType,
+      _errorLog
+    );
+    if (!e) {
+      return;
+    }
+    if (isUserEvent ?? false) {
+      if (validation !== 'off') {
+        const fromSdk = isSdkEvent ?? false;
+        const checkSpec =
+          !fromSdk && (e.type === 'event' || e.type === 'economy');
+        _validate(
+          'event',
+          validateEvent(e, checkSpec ? trackingSpec : null),
+          !fromSdk
+        );
+      }
+      // Dropped events don't count towards or extend the session
+      const type = (e.type ?? 'event') as SampledType;
+      if ((throttle?.check(type, deviceTag, e) ?? null) !== null) {
+        return;
+      }
+      // May rotate the session, so it has to run before the key is read
+      _touchSession(true);
+    }
+    const session_key = record_key ?? sessionKey;
+    e.event_index = _nextEventIndex();
+
+    if (session_key) {
+      e.group_tag = session_key;
+    }
+    _cleanupEventProps(e);
+
+    for (const key in e) {
+      if (!EVENT_PROP_LIST.includes(key)) {
+        e[key] = undefined;
+      }
+    }
+    if (session_key) {
+      // Kept locally to split bundles by session, not sent to the server
+      e.session_key = session_key;
+    }
+    if (e.event_datetime === undefined) {
+      _stampTime(e);
+    } else if (record.clock_offset !== undefined) {
+      e.clock_offset = record.clock_offset;
+    }
+    // Before load the stored user and device aren't known yet, _start fills them in
+    if (isLoaded || isUserTagPending) {
+      e.user_tag = userTag;
+    }
+    if (deviceTag) {
+      e.device_tag = deviceTag;
+    }
+    if (debug) {
+      _debug(`queued ${e.type ?? 'event'}`, _bundleEvent(e, clock.offset()));
+    }
+    _syncQueues();
+    eventList.push(e);
+    _putQueued('event_list', [e]);
+    _storeQueues();
+    _sendEventsLater();
+  }
+  function _nextEventIndex(): number {
+    // Tabs share the queue, so they share the counter too
+    if (tabs && isLoaded) {
+      nextIndex = Math.max(
+        nextIndex,
+        _getStoredItem<number>('next_index') ?? 0
+      );
+    }
+    const index = nextIndex++;
+    _setStoredItem('next_index', nextIndex);
+    return index;
+  }
+  function _canSend(): boolean {
+    // A relaying service worker holds bundles until the network is back
+    return (
+      isReadyFlag &&
+      _isSender() &&
+      (!(connectivity?.isOffline() ?? false) || _relayController() !== null)
+    );
+  }
+  function _onConnectivity(online: boolean): void {
+    if (debug) {
+      _debug(online ? 'back online' : 'offline, pausing sends');
+    }
+    // Retries are paused while offline and go out right away once back
+    _clearSendTimers();
+    if (online) {
+      eventBackoff.reset();
+      logBackoff.reset();
+      _sendEventsLater(0);
+      _sendLogsLater(0);
+    }
+  }
+  function _sendEventsLater(delay?: number): void {
+    if (!sendTimeout && !isSending && _canSend()) {
+      sendTimeout = setTimeout(
+        () => {
+          sendTimeout = null;
+          _sendEvents();
+        },
+        delay ?? eventBatching.flushInterval ?? 0
+      );
+    }
+  }
+  function _sendEvents(): void {
+    _syncQueues();
+    if (!isSending && _canSend() && _hasUnsent(eventList)) {
+      isSending = true;
+
+      const group: InternalEvent[] = [];
+      let first_event: InternalEvent | undefined;
+      for (const e of eventList) {
+        if (inFlight.has(_recordKey(e))) {
+          continue;
+        } else if (!first_event) {
+          first_event = e;
+          group.push(e);
+        } else if (_bundleKey(first_event) === _bundleKey(e)) {
+          group.push(e);
+        }
+      }
+      const events = _takeBatch(group, eventBatching, _eventBundle);
+      const bundle = _eventBundle(events);
+
+      const opts: RequestOptions = {
+        url: _trackUrl(),
+        method: 'POST',
+        body: bundle,
+        gzipThreshold,
+      };
+      _markInFlight(events, true);
+      _send(opts, (err, status, body, headers) => {
+        let retryIn: number | undefined;
+        // A dry run leaves records queued (and marked sent) for getQueue()
+        if (!dryRun) {
+          _markInFlight(events, false);
+          const info = _deliveryInfo(false, events, status ?? null);
+          let remove = true;
+          if (err === 'status') {
+            if (status === 400) {
+              _errorLog('Bad request, please check parameters, error:', body);
+              _emit('dropped', { ...info, reason: 'bad_request' });
+            } else if (status === 403) {
+              _errorLog('Bad API Key, error:', body);
+              isReadyFlag = false;
+              _emit('dropped', { ...info, reason: 'bad_api_key' });
+            } else if (status === 409) {
+              // Dup send?
+              _emit('sent', info);
+            } else {
+              remove = false;
+            }
+          } else if (err) {
+            remove = false;
+          } else {
+            eventBackoff.reset();
+            _emit('sent', info);
+          }
+          if (remove) {
+            _removeEvents(events);
+          } else {
+            retryIn = eventBackoff.failed(_retryAfter(status, headers));
+            _emit('failed', {
+              ...info,
+              retryCount: eventBackoff.retryCount(),
+              error: err ?? '',
+              retryIn,
+            });
+          }
+        }
+
+        isSending = false;
+        if (_hasUnsent(eventList)) {
+          _sendEventsLater(retryIn ?? _drainDelay(eventBatching, eventList));
+        }
+      });
+    }
+  }
+  function _eventBundle(
+    events: InternalEvent[]
+  ): DefaultBundle & { events: InternalEvent[] } {
+    // Events queued by older versions aren't stamped, they go out as before
+    const first = events[0];
+    const bundle = Object.assign({}, defaultBundle, {
+      api_key: apiKey,
+      app_ver: appVer,
+      device_tag: first?.device_tag ?? deviceTag,
+      events: events.map((e) => _bundleEvent(e, clock.offset())),
+    }) as DefaultBundle & { events: InternalEvent[] };
+    _addClockSkew(bundle);
+    const user_tag = first?.user_tag === undefined ? userTag : first.user_tag;
+    if (user_tag) {
+      bundle.user_tag = user_tag;
+    }
+    return bundle;
+  }
+  function _logBundle(events: InternalLog[]): LogBundle {
+    const first = events[0];
+    const bundle: LogBundle = Object.assign({}, defaultBundle, {
+      api_key: apiKey,
+      app_ver: appVer,
+      device_tag: first?.device_tag ?? deviceTag,
+      events: events.map((l) => _bundleLog(l, clock.offset())),
+    });
+    _addClockSkew(bundle);
+    if (first?.user_tag) {
+      bundle.user_tag = first.user_tag;
+    }
+    return bundle;
+  }
+  function _stampTime(record: QueueRecord, deviceTime?: number): void {
+    const offset = clock.offset();
+    const time = (deviceTime ?? clock.monotonic()) + offset;
+    record.event_datetime = new Date(time).toISOString();
+    record.clock_offset = offset;
+  }
+  function _addClockSkew(bundle: { clock_skew?: number }): void {
+    const skew = clock.skew();
+    if (skew !== null) {
+      bundle.clock_skew = skew;
+    }
+  }
+  function _measureClock(
+    sentAt: number,
+    body: string | undefined,
+    headers: Headers | undefined
+  ): void {
+    const server = parseServerTime(body, headers);
+    if (server && clock.measure(sentAt, clock.monotonic(), server)) {
+      if (debug) {
+        _debug(`clock is off by ${clock.offset()}ms`);
+      }
+      _setStoredItem('clock_offset', clock.offset());
+    }
+  }
+  function _trackUrl(): string {
+    const current_time = encodeURIComponent(new Date().toISOString());
+    return `${apiBaseUrl}/${orgName}/1/track?current_time=${current_time}`;
+  }
+  function _logUrl(): string {
+    return `${apiBaseUrl}/${orgName}/1/app_log`;
+  }
+  function _markInFlight(list: QueueRecord[], sending: boolean): void {
+    for (const item of list) {
+      if (sending) {
+        inFlight.add(_recordKey(item));
+      } else {
+        inFlight.delete(_recordKey(item));
+      }
+    }
+  }
+  function _deliveryInfo(
+    isLog: boolean,
+    items: object[],
+    status: number | null
+  ): DeliveryInfo {
+    return {
+      type: isLog ? 'log' : 'event',
+      indexes: isLog
+        ? []
+        : (items as InternalEvent[]).map((e) => e.event_index ?? -1),
+      count: items.length,
+      status,
+      retryCount: (isLog ? logBackoff : eventBackoff).retryCount(),
+    };
+  }
+  function _emit<K extends ClientEventName>(
+    name: K,
+    info: ClientEventMap[K]
+  ): void {
+    for (const listener of listeners[name].slice()) {
+      try {
+        listener(info);
+      } catch (e) {
+        _errorLog(`${name} listener failed:`, e);
+      }
+    }
+  }
+  function on<K extends ClientEventName>(
+    name: K,
+    listener: ClientEventListener<K>
+  ): () => void {
+    (listeners[name] as ClientEventListener<K>[]).push(listener);
+    if (name === 'ready' && isReadyFlag && deviceTag) {
+      // Don't make late subscribers wait for a ready that already happened
+      (listener as ClientEventListener<'ready'>)({ deviceTag });
+    }
+    return () => {
+      off(name, listener);
+    };
+  }
+  function off<K extends ClientEventName>(
+    name: K,
+    listener: ClientEventListener<K>
+  ): void {
+    const list = listeners[name] as ClientEventListener<K>[];
+    const index = list.indexOf(listener);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  }
+  function _drainDelay(batching: BatchOptions, list: QueueRecord[]): number {
+    const unsent = list.filter((item) => !inFlight.has(_recordKey(item)));
+    // A backlog keeps going out back to back instead of one batch per interval
+    return (batching.adaptive ?? false) &&
+      unsent.length >= (batching.batchSize ?? DEFAULT_BATCH_SIZE)
+      ? 0
+      : (batching.flushInterval ?? 0);
+  }
+  function _hasUnsent(list: QueueRecord[]): boolean {
+    return list.some((item) => !inFlight.has(_recordKey(item)));
+  }
+  function _send(args: RequestOptions, done: RequestCallback): void {
+    if (debug) {
+      _debug(
+        `${dryRun ? 'dry run ' : ''}${args.method} ${args.url}`,
+        args.body
+      );
+    }
+    if (dryRun) {
+      done(null, 200, '');
+      return;
+    }
+    activeRequests++;
+    const finish: RequestCallback = (err, status, body, headers) => {
+      done(err, status, body, headers);
+      activeRequests--;
+      _checkFlushDone();
+    };
+    const direct = (): void => {
+      const sentAt = clock.monotonic();
+      _request(args, (err, status, body, headers) => {
+        if (status !== undefined) {
+          _measureClock(sentAt, body, headers);
+        }
+        finish(err, status, body, headers);
+      });
+    };
+    const controller = _relayController();
+    if (
+      controller &&
+      relayTimeout !== null &&
+      args.body &&
+      !(args.body instanceof FormData)
+    ) {
+      postToRelay(
+        controller,
+        args.url,
+        JSON.stringify(args.body),
+        relayTimeout
+      ).then((stored) => {
+        if (stored) {
+          // The service worker owns it now, delivery can't be reported back
+          finish(null, 200, '');
+        } else {
+          direct();
+        }
+      }, direct);
+    } else {
+      direct();
+    }
+  }
+  function _relayController(): ServiceWorker | null {
+    return relayTimeout === null ? null : relayController();
+  }
+  function _removeEvents(event_list: InternalEvent[]): void {
+    _syncQueues();
+    eventList = eventList.filter((e) => {
+      return !event_list.some((e2) => {
+        return e.event_index === e2.event_index;
+      });
+    });
+    _removeQueued('event_list', event_list);
+    _storeQueues();
+  }
+  function _removeLogs(events: InternalLog[]): void {
+    _syncQueues();
+    const keys = events.map(_recordKey);
+    logList = logList.filter((l) => !keys.includes(_recordKey(l)));
+    _removeQueued('log_list', events);
+    _storeQueues();
+  }
+  function _checkFlushDone(): void {
+    if (flushResolve && activeRequests === 0) {
+      flushResolve();
+      flushPromise = null;
+      flushResolve = null;
+    }
+  }
+  function _sendLogsLater(delay?: number): void {
+    if (!logTimeout && !isLogSending && _canSend()) {
+      logTimeout = setTimeout(
+        () => {
+          logTimeout = null;
+          _sendLogs();
+        },
+        delay ?? logBatching.flushInterval ?? 0
+      );
+    }
+  }
+  function _sendLogs(): void {
+    _syncQueues();
+    if (!isLogSending && _canSend() && _hasUnsent(logList)) {
+      isLogSending = true;
+
+      const unsent = logList.filter((l) => !inFlight.has(_recordKey(l)));
+      const group = unsent.filter(
+        (l) => _bundleKey(l) === _bundleKey(unsent[0] ?? {})
+      );
+      const events = _takeBatch(group, logBatching, _logBundle);
+      const bundle = _logBundle(events);
+
+      const opts: RequestOptions = {
+        url: _logUrl(),
+        method: 'POST',
+        body: bundle,
+        gzipThreshold,
+      };
+
+      _markInFlight(events, true);
+      _send(opts, (err, status, body, headers) => {
+        let retryIn: number | undefined;
+        if (!dryRun) {
+          _markInFlight(events, false);
+          const info = _deliveryInfo(true, events, status ?? null);
+          let remove = true;
+          if (err === 'status') {
+            if (status === 400) {
+              _errorLog('Bad request, please check parameters, error:', body);
+              _emit('dropped', { ...info, reason: 'bad_request' });
+            } else if (status === 403) {
+              _errorLog('Bad API Key, error:', body);
+              _emit('dropped', { ...info, reason: 'bad_api_key' });
+            } else if (status === 409) {
+              // Dup send?
+              _emit('sent', info);
+            } else {
+              remove = false;
+            }
+          } else if (err) {
+            remove = false;
+          } else {
+            logBackoff.reset();
+            _emit('sent', info);
+          }
+          if (remove) {
+            _removeLogs(events);
+          } else {
+            retryIn = logBackoff.failed(_retryAfter(status, headers));
+            _emit('failed', {
+              ...info,
+              retryCount: logBackoff.retryCount(),
+              error: err ?? '',
+              retryIn,
+            });
+          }
+        }
+
+        isLogSending = false;
+        if (_hasUnsent(logList)) {
+          _sendLogsLater(retryIn ?? _drainDelay(logBatching, logList));
+        }
+      });
+    }
+  }
+  async function flush(): Promise<void> {
+    if (flushPromise) {
+      return flushPromise;
+    }
+
+    if (!isReadyFlag) {
+      _errorLog('DataCortex not ready. Call init() first.');
+      return Promise.resolve();
+    }
+
+    _clearSendTimers();
+    _reportDropped();
+
+    if (!isSending) {
+      _sendEvents();
+    }
+    if (!isLogSending) {
+      _sendLogs();
+    }
+
+    if (activeRequests > 0) {
+      flushPromise = new Promise((resolve) => {
+        flushResolve = resolve;
+      });
+      return flushPromise;
+    }
+
+    return Promise.resolve();
+  }
+  function _drainOnUnload(): void {
+    _reportDropped();
+    // The sending tab drains the shared queue when it goes away
+    if (dryRun || !_canSend()) {
+      return;
+    }
+    _syncQueues();
+    const batches: { isLog: boolean; items: QueueRecord[] }[] = [];
+    const events = eventList.filter((e) => !inFlight.has(_recordKey(e)));
+    for (const list of _groupByBundle(events)) {
+      for (const items of _splitForBeacon(list, _eventBundle)) {
+        batches.push({ isLog: false, items });
+      }
+    }
+    const logs = logList.filter((l) => !inFlight.has(_recordKey(l)));
+    for (const list of _groupByBundle(logs)) {
+      for (const items of _splitForBeacon(list, _logBundle)) {
+        batches.push({ isLog: true, items });
+      }
+    }
+    for (const { isLog, items } of batches) {
+      if (!_sendOnUnload(isLog, items)) {
+        // The browser's beacon queue is full, the rest waits for next visit
+        break;
+      }
+    }
+  }
+  function _sendOnUnload(isLog: boolean, items: QueueRecord[]): boolean {
+    const url = isLog ? _logUrl() : _trackUrl();
+    const bundle = isLog
+      ? _logBundle(items as InternalLog[])
+      : _eventBundle(items as InternalEvent[]);
+    function onAccepted(status: number | null): void {
+      const info = _deliveryInfo(isLog, items, status);
+      if (status === 400) {
+        _emit('dropped', { ...info, reason: 'bad_request' });
+      } else if (status === 403) {
+        _emit('dropped', { ...info, reason: 'bad_api_key' });
+      } else {
+        _emit('sent', info);
+      }
+      if (isLog) {
+        _removeLogs(items as InternalLog[]);
+      } else {
+        _removeEvents(items as InternalEvent[]);
+      }
+    }
+
+    if (typeof navigator.sendBeacon === 'function') {
+      const blob = new Blob([JSON.stringify(bundle)], { type: 'text/plain' });
+      const accepted = navigator.sendBeacon(url, blob);
+      if (accepted) {
+        onAccepted(null);
+      }
+      return accepted;
+    }
+    _markInFlight(items, true);
+    _send(
+      { url, method: 'POST', body: bundle, keepalive: true },
+      (err, status) => {
+        _markInFlight(items, false);
+        if (
+          !err ||
+          (err === 'status' &&
+            (status === 400 || status === 403 || status === 409))
+        ) {
+          onAccepted(status ?? null);
+        }
+      }
+    );
+    return true;
+  }
+  function getQueue(): EventRecord[] {
+    _syncQueues();
+    return eventList.map((e) => _bundleEvent(e, clock.offset()));
+  }
+  function getPendingLogCount(): number {
+    _syncQueues();
+    return logList.length;
+  }
+  function clearQueue(): void {
+    eventList = [];
+    logList = [];
+    queueChanges = _newQueueChanges(true);
+    _storeQueues();
+  }
+  function destroy(): void {
+    initCount++;
+    if (isLoaded) {
+      // Don't leave a write waiting for the queue lock
+      _writeQueues();
+    }
+    _stopTimers();
+    pageTracker?.stop();
+    pageTracker = null;
+    webVitals?.stop();
+    webVitals = null;
+    tabs?.stop();
+    tabs = null;
+    connectivity?.stop();
+    connectivity = null;
+    errorReporter.stop();
+    restoreConsole?.();
+    restoreConsole = null;
+    if (hasDom()) {
+      document.removeEventListener('visibilitychange', _onTimerVisibility);
+      document.removeEventListener('visibilitychange', _onVisibilityChange);
+      window.removeEventListener('pagehide', _drainOnUnload);
+    }
+  }
+  function _stopTimers(): void {
+    if (dauInterval !== null) {
+      clearInterval(dauInterval);
+      dauInterval = null;
+    }
+    if (dropReportInterval !== null) {
+      clearInterval(dropReportInterval);
+      dropReportInterval = null;
+    }
+    _clearSendTimers();
+  }
+  function _clearSendTimers(): void {
+    if (sendTimeout) {
+      clearTimeout(sendTimeout);
+      sendTimeout = null;
+    }
+    if (logTimeout) {
+      clearTimeout(logTimeout);
+      logTimeout = null;
+    }
+  }
+
+  return {
+    init,
+    isReady,
+    getDeviceTag,
+    addUserTag,
+    identify,
+    reset,
+    event,
+    economyEvent,
+    messageSendEvent,
+    log,
+    logEvent,
+    logger,
+    captureException,
+    getSessionKey,
+    startNewSession,
+    optIn,
+    optOut,
+    beforeEvent,
+    beforeLog,
+    setDefaults,
+    clearDefaults,
+    withScope,
+    startTimer,
+    endTimer,
+    cancelTimer,
+    getQueue,
+    getPendingLogCount,
+    clearQueue,
+    on,
+    off,
+    flush,
+    destroy,
+  };
+}
+
+function _generateRandomString(): string {
+  let text = '';
+  const array: Uint32Array = new Uint32Array(8);
+  globalScope().crypto.getRandomValues(array);
+  for (const value of array) {
+    text += value.toString(36);
+  }
+  text = text.slice(0, 32);
+  return text;
+}
+function _cleanupEventProps(e: Record<string, unknown>): void {
+  for (const p of STRING_PROP_LIST) {
+    if (p in e) {
+      const val = e[p];
+      e[p] = _cleanupString(val, 32);
+    }
+  }
+  for (const p of LONG_STRING_PROP_LIST) {
+    if (p in e) {
+      const val = e[p];
+      e[p] = _cleanupString(val, 64);
+    }
+  }
+  for (const p of NUMBER_PROP_LIST) {
+    if (p in e) {
+      let val = e[p];
+      if (typeof val !== 'number') {
+        val = parseFloat(String(val));
+      }
+      if (typeof val === 'number' && isFinite(val)) {
+        e[p] = val;
+      } else {
+        e[p] = undefined;
+      }
+    }
+  }
+}
+// Kept as given, so each event validates and truncates them with its own props
+function _cleanupDefaults(props: DefaultProps): DefaultProps {
+  const ret: Record<string, unknown> = {};
+  for (const key of DEFAULT_PROP_LIST) {
+    const value = (props as Record<string, unknown>)[key];
+    if (value !== undefined) {
+      ret[key] = value;
+    }
+  }
+  return ret as DefaultProps;
+}
+function _cleanupString(val: unknown, max_len: number): string | undefined {
+  let ret: string | undefined;
+  if (typeof val === 'string') {
+    ret = val;
+  } else if (val !== null && val !== undefined) {
+    ret = String(val);
+  }
+  if (ret && ret.length > 0) {
+    ret = ret.slice(0, max_len);
+  }
+  return ret;
+}
+function _runHooks<T extends object>(
+  hooks: ((record: T, type: RecordType) => T | null | false | void)[],
+  record: T,
+  type: RecordType,
+  errorLog: (...args: unknown[]) => void
+): T | null {
+  let current = record;
+  for (const hook of hooks) {
+    try {
+      const ret = hook(current, type);
+      if (ret === null || ret === false) {
+        return null;
+      } else if (ret) {
+        current = ret;
+      }
+    } catch (err) {
+      errorLog(`before ${type} hook failed:`, err);
+    }
+  }
+  return current;
+}
+function _isDoNotTrack(): boolean {
+  const nav = navigator as Navigator & { globalPrivacyControl?: boolean };
+  const win = globalScope() as { doNotTrack?: string };
+  return (
+    nav.globalPrivacyControl === true ||
+    nav.doNotTrack === '1' ||
+    win.doNotTrack === '1'
+  );
+}
+function _isHidden(): boolean {
+  return hasDom() && document.visibilityState === 'hidden';
+}
+function _formatLogLine(args: unknown[]): string {
+  if (args.length === 0) {
+    throw new Error('log must have arguments');
+  }
+  let log_line = '';
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (i > 0) {
+      log_line += ' ';
+    }
+
+    if (_isError(arg)) {
+      log_line += `${arg.message} ${arg.stack}`;
+    } else if (typeof arg === 'object') {
+      try {
+        log_line += JSON.stringify(arg);
+      } catch {
+        log_line += String(arg);
+      }
+    } else {
+      log_line += String(arg);
+    }
+  }
+  return log_line;
+}
+function _bundleEvent(e: InternalEvent, offset: number): InternalEvent {
+  const {
+    session_key: _session_key,
+    user_tag: _user_tag,
+    device_tag: _device_tag,
+    clock_offset: _clock_offset,
+    ...rest
+  } = e;
+  return _reclock(rest, e.clock_offset, offset);
+}
+function _retryAfter(
+  status: number | undefined,
+  headers: Headers | undefined
+): number | null {
+  // Only rate limiting and maintenance responses tell us when to come back
+  if (status !== 429 && status !== 503) {
+    return null;
+  }
+  return parseRetryAfter(headers?.get('Retry-After') ?? null, Date.now());
+}
+function _bundleLog(l: InternalLog, offset: number): LogEventProps {
+  const { log_key: _log_key, clock_offset: _clock_offset, ...rest } = l;
+  return _reclock(rest, l.clock_offset, offset);
+}
+// Our timestamps follow the latest clock estimate, even ones queued before it
+function _reclock<T extends { event_datetime?: string }>(
+  record: T,
+  stampedOffset: number | undefined,
+  offset: number
+): T {
+  const time = Date.parse(record.event_datetime ?? '');
+  if (stampedOffset !== undefined && stampedOffset !== offset && !isNaN(time)) {
+    record.event_datetime = new Date(
+      time + offset - stampedOffset
+    ).toISOString();
+  }
+  return record;
+}
+// Queue records are re-read from storage, so they're tracked by key not identity
+function _recordKey(record: QueueRecord): string {
+  return (
+    (record as InternalLog).log_key ??
+    `e${(record as InternalEvent).event_index}`
+  );
+}
+function _newQueueChanges(cleared?: boolean): Record<QueueName, QueueChanges> {
+  return {
+    event_list: {
+      cleared: cleared ?? false,
+      records: new Map(),
+      removed: new Set(),
+    },
+    log_list: {
+      cleared: cleared ?? false,
+      records: new Map(),
+      removed: new Set(),
+    },
+  };
+}
+function _hasQueueChanges(changes: QueueChanges): boolean {
+  return (
+    changes.cleared || changes.records.size > 0 || changes.removed.size > 0
+  );
+}
+// Records only share a bundle when they share its session, user and device
+function _bundleKey(record: {
+  session_key?: string;
+  user_tag?: string | null;
+  device_tag?: string;
+}): string {
+  return `${record.session_key}|${record.user_tag}|${record.device_tag}`;
+}
+function _groupByBundle<T extends object>(list: T[]): T[][] {
+  const groups = new Map<string, T[]>();
+  for (const item of list) {
+    const key = _bundleKey(item);
+    const group = groups.get(key) ?? [];
+    group.push(item);
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
+function _byteLength(text: string): number {
+  return new TextEncoder().encode(text).length;
+}
+function _takeBatch<T>(
+  group: T[],
+  batching: BatchOptions,
+  makeBundle: (chunk: T[]) => object
+): T[] {
+  const batchSize = batching.batchSize ?? DEFAULT_BATCH_SIZE;
+  // A backlog goes out in fewer, fuller requests
+  const size =
+    (batching.adaptive ?? false)
+      ? Math.max(
+          batchSize,
+          Math.min(
+            group.length,
+            batching.maxBatchSize ?? DEFAULT_MAX_BATCH_SIZE
+          )
+        )
+      : batchSize;
+  const batch = group.slice(0, size);
+  return batching.maxBytes === undefined
+    ? batch
+    : _fitToSize(batch, makeBundle, batching.maxBytes).chunk;
+}
+// Halves from the front of the list until its bundle fits, down to one record
+function _fitToSize<T>(
+  list: T[],
+  makeBundle: (chunk: T[]) => object,
+  maxBytes: number
+): { chunk: T[]; size: number } {
+  let end = list.length;
+  let size = _byteLength(JSON.stringify(makeBundle(list)));
+  while (size > maxBytes && end > 1) {
+    end = Math.ceil(end / 2);
+    size = _byteLength(JSON.stringify(makeBundle(list.slice(0, end))));
+  }
+  return { chunk: list.slice(0, end), size };
+}
+function _splitForBeacon<T>(
+  list: T[],
+  makeBundle: (chunk: T[]) => object
+): T[][] {
+  const ret: T[][] = [];
+  let start = 0;
+  while (start < list.length) {
+    const { chunk, size } = _fitToSize(
+      list.slice(start),
+      makeBundle,
+      MAX_BEACON_BYTES
+    );
+    // A single record over the limit stays queued for a normal send
+    if (size <= MAX_BEACON_BYTES) {
+      ret.push(chunk);
+    }
+    start += chunk.length;
+  }
+  return ret;
+}
+function _isError(e: unknown): e is Error {
+  return (
+    typeof e === 'object' &&
+    e !== null &&
+    'stack' in e &&
+    'message' in e &&
+    typeof (e as Error).stack === 'string' &&
+    typeof (e as Error).message === 'string'
+  );
+}
+function _request(args: RequestOptions, done: RequestCallback): void {
+  let done_once = false;
+  function request_done(...args: Parameters<RequestCallback>): void {
+    if (!done_once) {
+      done_once = true;
+      done(...args);
+    }
+  }
+
+  const default_headers: Record<string, string> = {
+    Accept: 'application/json',
+  };
+  const { body: requestBody } = args;
+  let body: string | FormData | null = null;
+  if (requestBody instanceof FormData) {
+    body = requestBody;
+  } else if (requestBody) {
+    body = JSON.stringify(requestBody);
+    default_headers['Content-Type'] = 'text/plain';
+  }
+  const headers = Object.assign({}, default_headers, args.headers);
+
+  const { gzipThreshold } = args;
+  if (
+    typeof body === 'string' &&
+    typeof gzipThreshold === 'number' &&
+    typeof CompressionStream === 'function' &&
+    _byteLength(body) >= gzipThreshold
+  ) {
+    const text = body;
+    _gzip(text).then(
+      (gzipped) => {
+        headers['Content-Encoding'] = 'gzip';
+        _fetch(args, headers, gzipped, request_done);
+      },
+      () => {
+        // Compression isn't essential, send it as it is
+        _fetch(args, headers, text, request_done);
+      }
+    );
+  } else {
+    _fetch(args, headers, body, request_done);
+  }
+}
+async function _gzip(text: string): Promise<ArrayBuffer> {
+  const stream = new Blob([text])
+    .stream()
+    .pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+}
+function _fetch(
+  args: RequestOptions,
+  headers: Record<string, string>,
+  body: BodyInit | null,
+  request_done: RequestCallback
+): void {
+  const { method, url } = args;
+  const fetchOptions: RequestInit = {
+    method,
+    headers,
+    body,
+  };
+  if (args.keepalive === true) {
+    fetchOptions.keepalive = true;
+  }
+  let timeoutId: ReturnType<typeof setTimeout> | undefined;
+  if (args.timeout) {
+    const controller = new AbortController();
+    fetchOptions.signal = controller.signal;
+
+    timeoutId = setTimeout(() => {
+      controller.abort();
+    }, args.timeout);
+  }
+
+  fetch(url, fetchOptions)
+    .then(async (response) => {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+
+      const { status } = response;
+      let responseBody = '';
+
+      try {
+        responseBody = await response.text();
+      } catch {
+        // If we can't read the response body, continue with empty string
+      }
+
+      let err: string | null = null;
+      if (status < 200 || status > 599) {
+        err = 'wierd_status';
+      } else if (status >= 300) {
+        err = 'status';
+      }
+
+      request_done(err, status, responseBody, response.headers);
+    })
+    .catch((error) => {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+
+      if (error.name === 'AbortError') {
+        request_done('timeout');
+      } else {
+        request_done('fetch_error');
+      }
+    });
+}
+function _defaultBundle(
+  details: boolean | DeviceDetailsOptions | undefined
+): DefaultBundle {
+  const bundle: DefaultBundle = { ...detectDevice() };
+  if (details !== undefined && details !== false) {
+    Object.assign(bundle, detectDetails(details === true ? {} : details));
+  }
+  return bundle;
+}
@@ -0,0 +1,90 @@
+export interface ServerTime {
+  time: number;
+  // How coarse the server's timestamp is, the Date header only has seconds
+  resolution: number;
+}
+export interface Clock {
+  monotonic: () => number;
+  now: () => number;
+  offset: () => number;
+  skew: () => number | null;
+  measure: (sentAt: number, receivedAt: number, server: ServerTime) => boolean;
+  restore: (offset: number) => void;
+}
+
+const MAX_RTT_MS = 10 * 1000;
+const MIN_CHANGE_MS = 1000;
+
+export function createClock(): Clock {
+  const perf = globalThis.performance as Performance | undefined;
+  // Anchored once, so changing the system clock mid-page doesn't move
+  // timestamps. Server measurements correct any drift, e.g. after sleep.
+  const anchor = perf ? Date.now() - perf.now() : 0;
+  let offset = 0;
+  let skew: number | null = null;
+
+  function monotonic(): number {
+    return perf ? anchor + perf.now() : Date.now();
+  }
+  function now(): number {
+    return monotonic() + offset;
+  }
+  // Returns true when the correction applied to new timestamps changed
+  function measure(
+    sentAt: number,
+    receivedAt: number,
+    server: ServerTime
+  ): boolean {
+    const rtt = receivedAt - sentAt;
+    if (rtt < 0 || rtt > MAX_RTT_MS) {
+      return false;
+    }
+    const estimate =
+      server.time + server.resolution / 2 - (sentAt + receivedAt) / 2;
+    // Within the measurement error our clock is as good as the server's
+    const error = server.resolution / 2 + rtt / 2;
+    skew = Math.abs(estimate) <= error ? 0 : Math.round(estimate);
+    if (Math.abs(skew - offset) < MIN_CHANGE_MS) {
+      return false;
+    }
+    offset = skew;
+    return true;
+  }
+  function restore(value: number): void {
+    offset = value;
+    skew = value;
+  }
+
+  return {
+    monotonic,
+    now,
+    offset: () => offset,
+    skew: () => skew,
+    measure,
+    restore,
+  };
+}
+
+export function parseServerTime(
+  body: string | undefined,
+  headers: Headers | undefined
+): ServerTime | null {
+  if (body) {
+    try {
+      const { current_time } = JSON.parse(body) as { current_time?: unknown };
+      const time =
+        typeof current_time === 'number'
+          ? current_time
+          : Date.parse(String(current_time));
+      if (current_time !== undefined && !isNaN(time)) {
+        return { time, resolution: 1 };
+      }
+    } catch {
+      // Not JSON, try the header
+    }
+  }
+  // Cross-origin responses only expose Date with Access-Control-Expose-Headers
+  const date = headers?.get('Date');
+  const time = date ? Date.parse(date) : NaN;
+  return isNaN(time) ? null : { time, resolution: 1000 };
+}
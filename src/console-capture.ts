@@ -0,0 +1,48 @@
+export type ConsoleMethod = 'debug' | 'log' | 'info' | 'warn' | 'error';
+export interface ConsoleCaptureOptions {
+  methods?: ConsoleMethod[];
+}
+
+export const DEFAULT_CONSOLE_METHODS: readonly ConsoleMethod[] = [
+  'warn',
+  'error',
+];
+
+export function captureConsole(
+  forward: (method: ConsoleMethod, args: unknown[]) => void,
+  methods: readonly ConsoleMethod[]
+): () => void {
+  let isForwarding = false;
+  const restores = methods.map((method) => {
+    // eslint-disable-next-line no-console
+    const original = console[method];
+    const wrapped = (...args: unknown[]): void => {
+      original.apply(console, args);
+      // Anything the forwarding itself prints must not be forwarded again
+      if (!isForwarding && args.length > 0) {
+        isForwarding = true;
+        try {
+          forward(method, args);
+        } catch {
+          // Never let reporting break the host's console
+        } finally {
+          isForwarding = false;
+        }
+      }
+    };
+    // eslint-disable-next-line no-console
+    console[method] = wrapped;
+    return () => {
+      // eslint-disable-next-line no-console
+      if (console[method] === wrapped) {
+        // eslint-disable-next-line no-console
+        console[method] = original;
+      }
+    };
+  });
+  return () => {
+    for (const restore of restores) {
+      restore();
+    }
+  };
+}
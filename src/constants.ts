@@ -32,6 +32,7 @@ export const LOG_NUMBER_PROP_LIST: readonly string[] = [
   'repsonse_bytes',
   'response_ms',
 ];
+export const MAX_LOG_LINE_LENGTH = 65535;
 export const LOG_STRING_PROP_MAP: Record<string, number> = {
   hostname: 64,
   filename: 256,
@@ -39,6 +40,6 @@ export const LOG_STRING_PROP_MAP: Record<string, number> = {
   device_tag: 62,
   user_tag: 62,
   remote_address: 64,
-  log_line: 65535,
+  log_line: MAX_LOG_LINE_LENGTH,
 };
 export const LOG_OTHER_PROP_LIST: readonly string[] = ['event_datetime'];
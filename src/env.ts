@@ -0,0 +1,22 @@
+// window on pages, the worker's own global scope in Web and service workers
+export function globalScope(): typeof globalThis {
+  return typeof window !== 'undefined' ? window : globalThis;
+}
+export function hasDom(): boolean {
+  return typeof window !== 'undefined' && typeof document !== 'undefined';
+}
+// Plain Node and similar hosts have no event target on the global scope
+export function addGlobalListener(
+  type: string,
+  listener: (e: never) => void
+): void {
+  const scope = globalScope() as Partial<typeof globalThis>;
+  scope.addEventListener?.(type, listener as EventListener);
+}
+export function removeGlobalListener(
+  type: string,
+  listener: (e: never) => void
+): void {
+  const scope = globalScope() as Partial<typeof globalThis>;
+  scope.removeEventListener?.(type, listener as EventListener);
+}
@@ -0,0 +1,158 @@
+import type { LogEventProps } from './client';
+import { addGlobalListener, removeGlobalListener } from './env';
+
+export interface ErrorReportingOptions {
+  unhandledRejections?: boolean;
+  rateLimit?: number;
+  rateLimitWindow?: number;
+}
+export type ErrorContext = Record<string, unknown>;
+export interface ErrorReporter {
+  start: () => void;
+  stop: () => void;
+  captureException: (err: unknown, context?: ErrorContext) => void;
+}
+
+interface ErrorDetails {
+  message: string;
+  stack?: string;
+  filename?: string;
+  lineno?: number;
+  colno?: number;
+  context?: ErrorContext;
+}
+interface FingerprintState {
+  window_start: number;
+  count: number;
+  suppressed: number;
+}
+
+const DEFAULT_RATE_LIMIT = 5;
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const MAX_FINGERPRINTS = 100;
+const STACK_LOCATION_REGEX =
+  /((?:https?|file|webpack):\/\/[^\s)]+):(\d+):(\d+)/;
+
+export function createErrorReporter(
+  track: (props: LogEventProps) => void,
+  opts: ErrorReportingOptions
+): ErrorReporter {
+  const rateLimit = opts.rateLimit ?? DEFAULT_RATE_LIMIT;
+  const rateLimitWindow = opts.rateLimitWindow ?? DEFAULT_RATE_LIMIT_WINDOW_MS;
+  const fingerprints = new Map<string, FingerprintState>();
+  let listening = false;
+
+  function start(): void {
+    if (!listening) {
+      listening = true;
+      addGlobalListener('error', _onError);
+      if (opts.unhandledRejections ?? true) {
+        addGlobalListener('unhandledrejection', _onRejection);
+      }
+    }
+  }
+  function stop(): void {
+    listening = false;
+    removeGlobalListener('error', _onError);
+    removeGlobalListener('unhandledrejection', _onRejection);
+  }
+  function captureException(err: unknown, context?: ErrorContext): void {
+    const details = _fromReason(err, '');
+    if (context) {
+      details.context = context;
+    }
+    _report(details);
+  }
+  function _onError(e: ErrorEvent): void {
+    // Cross-origin scripts only give "Script error." with no error object
+    const details: ErrorDetails =
+      e.error instanceof Error
+        ? _fromReason(e.error, '')
+        : { message: e.message || 'Script error.' };
+    if (e.filename) {
+      details.filename = e.filename;
+      details.lineno = e.lineno;
+      details.colno = e.colno;
+    }
+    _report(details);
+  }
+  function _onRejection(e: PromiseRejectionEvent): void {
+    _report(_fromReason(e.reason, 'Unhandled rejection: '));
+  }
+  function _report(details: ErrorDetails): void {
+    const location = details.filename
+      ? `${details.filename}:${details.lineno ?? 0}:${details.colno ?? 0}`
+      : '';
+    const fingerprint = `${details.message}|${location}`;
+    const now = Date.now();
+
+    let state = fingerprints.get(fingerprint);
+    if (!state) {
+      if (fingerprints.size >= MAX_FINGERPRINTS) {
+        const oldest = fingerprints.keys().next().value;
+        if (oldest !== undefined) {
+          fingerprints.delete(oldest);
+        }
+      }
+      state = { window_start: now, count: 0, suppressed: 0 };
+      fingerprints.set(fingerprint, state);
+    } else if (now - state.window_start >= rateLimitWindow) {
+      state.window_start = now;
+      state.count = 0;
+    }
+    if (state.count >= rateLimit) {
+      state.suppressed++;
+      return;
+    }
+    state.count++;
+
+    let log_line = details.message;
+    if (state.suppressed > 0) {
+      log_line += ` (repeated ${state.suppressed} more times)`;
+      state.suppressed = 0;
+    }
+    if (details.context) {
+      log_line += ` ${_stringify(details.context)}`;
+    }
+    if (details.stack) {
+      log_line += `\n${details.stack}`;
+    }
+    const props: LogEventProps = { log_line, log_level: 'error' };
+    if (location) {
+      props.filename = location;
+    }
+    track(props);
+  }
+
+  return { start, stop, captureException };
+}
+
+function _fromReason(reason: unknown, prefix: string): ErrorDetails {
+  const details: ErrorDetails = { message: prefix };
+  if (reason instanceof Error) {
+    details.message += `${reason.name}: ${reason.message}`;
+    if (reason.stack) {
+      details.stack = reason.stack;
+      const match = STACK_LOCATION_REGEX.exec(reason.stack);
+      if (match?.[1]) {
+        details.filename = match[1];
+        details.lineno = Number(match[2]);
+        details.colno = Number(match[3]);
+      }
+    }
+  } else if (typeof reason === 'string') {
+    details.message += reason;
+  } else {
+    details.message += _stringify(reason);
+  }
+  return details;
+}
+function _stringify(value: unknown): string {
+  try {
+    // undefined and functions stringify to undefined
+    const json = JSON.stringify(value) as string | undefined;
+    return json ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
@@ -0,0 +1,178 @@
+import type { EventProps } from './client';
+
+export type TaxonomyField =
+  | 'phylum'
+  | 'class'
+  | 'order'
+  | 'family'
+  | 'genus'
+  | 'species';
+export type FloatField = 'float1' | 'float2' | 'float3' | 'float4';
+export type RouteTemplate = (path: string) => string | null | undefined;
+export interface PageTrackingOptions {
+  viewKingdom?: string;
+  leaveKingdom?: string;
+  pathField?: TaxonomyField | null;
+  titleField?: TaxonomyField | null;
+  referrerField?: TaxonomyField | null;
+  durationField?: FloatField;
+  hash?: boolean;
+  routes?: string[] | RouteTemplate;
+}
+export interface PageTracker {
+  pause: () => void;
+  stop: () => void;
+}
+
+const MAX_FIELD_LENGTH = 32;
+
+export function startPageTracking(
+  track: (props: EventProps) => void,
+  opts: PageTrackingOptions
+): PageTracker {
+  const viewKingdom = opts.viewKingdom ?? 'page_view';
+  const leaveKingdom = opts.leaveKingdom ?? 'page_leave';
+  const pathField = opts.pathField === undefined ? 'phylum' : opts.pathField;
+  const titleField = opts.titleField === undefined ? 'class' : opts.titleField;
+  const referrerField =
+    opts.referrerField === undefined ? 'order' : opts.referrerField;
+  const durationField = opts.durationField ?? 'float1';
+
+  let stopped = false;
+  let currentPath = _pagePath();
+  let currentUrl = window.location.href;
+  // Time on page only counts while the page is visible
+  let visibleSince: number | null =
+    document.visibilityState === 'hidden' ? null : Date.now();
+
+  const pushState = window.history.pushState.bind(window.history);
+  const replaceState = window.history.replaceState.bind(window.history);
+  const patchedPush: typeof history.pushState = (...args) => {
+    pushState(...args);
+    _onRouteChange();
+  };
+  const patchedReplace: typeof history.replaceState = (...args) => {
+    replaceState(...args);
+    _onRouteChange();
+  };
+  window.history.pushState = patchedPush;
+  window.history.replaceState = patchedReplace;
+  window.addEventListener('popstate', _onRouteChange);
+  window.addEventListener('hashchange', _onRouteChange);
+  document.addEventListener('visibilitychange', _onVisibilityChange);
+
+  _trackView(_referrer(document.referrer));
+
+  function _pagePath(): string {
+    const path =
+      (opts.hash ?? false)
+        ? window.location.pathname + window.location.hash
+        : window.location.pathname;
+    return _applyRoutes(path, opts.routes) ?? path;
+  }
+  function _referrer(url: string): string {
+    if (!url) {
+      return '';
+    }
+    try {
+      const ref = new URL(url);
+      // Same-site referrers are more useful as paths, external ones as hosts
+      return ref.origin === window.location.origin
+        ? ref.pathname
+        : ref.hostname;
+    } catch {
+      return url;
+    }
+  }
+  function _pageProps(kingdom: string): EventProps {
+    const props: EventProps = { kingdom };
+    if (pathField) {
+      props[pathField] = currentPath.slice(0, MAX_FIELD_LENGTH);
+    }
+    if (titleField && document.title) {
+      props[titleField] = document.title.slice(0, MAX_FIELD_LENGTH);
+    }
+    return props;
+  }
+  function _trackView(referrer: string): void {
+    const props = _pageProps(viewKingdom);
+    if (referrerField && referrer) {
+      props[referrerField] = referrer.slice(0, MAX_FIELD_LENGTH);
+    }
+    track(props);
+  }
+  function _trackLeave(): void {
+    if (visibleSince !== null) {
+      const props = _pageProps(leaveKingdom);
+      props[durationField] = (Date.now() - visibleSince) / 1000;
+      track(props);
+      visibleSince = null;
+    }
+  }
+  function _onRouteChange(): void {
+    const path = _pagePath();
+    if (!stopped && path !== currentPath) {
+      const was_visible = visibleSince !== null;
+      _trackLeave();
+      const referrer = _referrer(currentUrl);
+      currentPath = path;
+      currentUrl = window.location.href;
+      if (was_visible) {
+        visibleSince = Date.now();
+      }
+      _trackView(referrer);
+    }
+  }
+  function _onVisibilityChange(): void {
+    if (document.visibilityState === 'hidden') {
+      pause();
+    } else if (!stopped && visibleSince === null) {
+      visibleSince = Date.now();
+    }
+  }
+  function pause(): void {
+    if (!stopped) {
+      _trackLeave();
+    }
+  }
+  function stop(): void {
+    stopped = true;
+    // Another script may have wrapped history after us, leave theirs intact
+    if (window.history.pushState === patchedPush) {
+      window.history.pushState = pushState;
+    }
+    if (window.history.replaceState === patchedReplace) {
+      window.history.replaceState = replaceState;
+    }
+    window.removeEventListener('popstate', _onRouteChange);
+    window.removeEventListener('hashchange', _onRouteChange);
+    document.removeEventListener('visibilitychange', _onVisibilityChange);
+  }
+
+  return { pause, stop };
+}
+
+function _applyRoutes(
+  path: string,
+  routes: string[] | RouteTemplate | undefined
+): string | null | undefined {
+  if (typeof routes === 'function') {
+    return routes(path);
+  }
+  return routes?.find((route) => _matchRoute(route, path));
+}
+function _matchRoute(route: string, path: string): boolean {
+  const want = route.split('/');
+  const have = path.split('/');
+  for (let i = 0; i < want.length; i++) {
+    const segment = want[i] ?? '';
+    if (segment === '*') {
+      return true;
+    } else if (i >= have.length) {
+      return false;
+    } else if (!segment.startsWith(':') && segment !== have[i]) {
+      return false;
+    }
+  }
+  return want.length === have.length;
+}
@@ -0,0 +1,212 @@
+export interface RelayOptions {
+  // How long to wait for the service worker to confirm it stored a bundle
+  ackTimeout?: number;
+}
+export interface ServiceWorkerRelayOptions {
+  dbName?: string;
+  maxAge?: number;
+}
+export interface Relay {
+  deliver: () => Promise<void>;
+  stop: () => void;
+}
+
+interface RelayMessage {
+  type: typeof RELAY_MESSAGE;
+  url: string;
+  body: string;
+}
+interface StoredRequest {
+  url: string;
+  body: string;
+  time: number;
+}
+// The WebWorker lib isn't in the build, these are the parts the relay uses
+interface ExtendableEventLike extends Event {
+  waitUntil: (promise: Promise<unknown>) => void;
+}
+interface RelayMessageEvent extends ExtendableEventLike {
+  data: unknown;
+  ports: readonly MessagePort[];
+}
+interface RelaySyncEvent extends ExtendableEventLike {
+  tag: string;
+}
+interface ServiceWorkerScopeLike {
+  registration?: {
+    sync?: { register: (tag: string) => Promise<void> };
+  };
+}
+
+export const DEFAULT_RELAY_ACK_TIMEOUT_MS = 2000;
+const RELAY_MESSAGE = 'dc-relay';
+const RELAY_SYNC_TAG = 'dc-relay';
+const RELAY_DB_NAME = 'dc-relay';
+const RELAY_STORE_NAME = 'requests';
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The service worker controlling this page, if it can take bundles
+export function relayController(): ServiceWorker | null {
+  const { serviceWorker } = navigator as {
+    serviceWorker?: ServiceWorkerContainer;
+  };
+  return serviceWorker?.controller ?? null;
+}
+
+// Resolves true once the service worker has the bundle in IndexedDB
+export async function postToRelay(
+  controller: ServiceWorker,
+  url: string,
+  body: string,
+  timeout: number
+): Promise<boolean> {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const finish = (ok: boolean): void => {
+      clearTimeout(timer);
+      channel.port1.close();
+      resolve(ok);
+    };
+    const timer = setTimeout(() => {
+      finish(false);
+    }, timeout);
+    channel.port1.onmessage = (e: MessageEvent) => {
+      finish((e.data as { ok?: unknown } | null)?.ok === true);
+    };
+    try {
+      const message: RelayMessage = { type: RELAY_MESSAGE, url, body };
+      controller.postMessage(message, [channel.port2]);
+    } catch {
+      finish(false);
+    }
+  });
+}
+
+// Runs in the service worker: stores bundles posted by pages and delivers
+// them now, or with Background Sync once the network is back
+export function startRelay(opts?: ServiceWorkerRelayOptions): Relay {
+  const dbName = opts?.dbName ?? RELAY_DB_NAME;
+  const maxAge = opts?.maxAge ?? DEFAULT_MAX_AGE_MS;
+  let dbPromise: Promise<IDBDatabase> | null = null;
+  let queue: Promise<void> = Promise.resolve();
+
+  globalThis.addEventListener('message', _onMessage);
+  globalThis.addEventListener('sync', _onSync);
+
+  function _onMessage(event: Event): void {
+    const e = event as RelayMessageEvent;
+    const data = e.data as Partial<RelayMessage> | null;
+    if (
+      data?.type !== RELAY_MESSAGE ||
+      typeof data.url !== 'string' ||
+      typeof data.body !== 'string'
+    ) {
+      return;
+    }
+    const [port] = e.ports;
+    const request: StoredRequest = {
+      url: data.url,
+      body: data.body,
+      time: Date.now(),
+    };
+    e.waitUntil(
+      _store(request).then(
+        async () => {
+          port?.postMessage({ ok: true });
+          return deliver().catch(_registerSync);
+        },
+        () => {
+          // The page sends it itself
+          port?.postMessage({ ok: false });
+        }
+      )
+    );
+  }
+  function _onSync(event: Event): void {
+    const e = event as RelaySyncEvent;
+    if (e.tag === RELAY_SYNC_TAG) {
+      // A rejection tells the browser to try the sync again later
+      e.waitUntil(deliver());
+    }
+  }
+  async function _registerSync(): Promise<void> {
+    const { registration } = globalThis as ServiceWorkerScopeLike;
+    try {
+      await registration?.sync?.register(RELAY_SYNC_TAG);
+    } catch {
+      // No Background Sync, the next bundle posted retries the rest
+    }
+  }
+  async function _db(): Promise<IDBDatabase> {
+    dbPromise ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(RELAY_STORE_NAME, {
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error ?? new Error('indexedDB open failed'));
+      };
+    });
+    return dbPromise;
+  }
+  async function _transaction<T>(
+    mode: IDBTransactionMode,
+    run: (store: IDBObjectStore) => IDBRequest<T> | null
+  ): Promise<T | undefined> {
+    const db = await _db();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(RELAY_STORE_NAME, mode);
+      const request = run(tx.objectStore(RELAY_STORE_NAME));
+      tx.oncomplete = () => {
+        resolve(request?.result);
+      };
+      tx.onerror = () => {
+        reject(tx.error ?? new Error('indexedDB transaction failed'));
+      };
+    });
+  }
+  async function _store(request: StoredRequest): Promise<void> {
+    await _transaction('readwrite', (store) => store.add(request));
+  }
+  async function _remove(key: IDBValidKey): Promise<void> {
+    await _transaction('readwrite', (store) => store.delete(key));
+  }
+  async function _deliverAll(): Promise<void> {
+    const keys = (await _transaction('readonly', (s) => s.getAllKeys())) ?? [];
+    for (const key of keys) {
+      const request = (await _transaction('readonly', (s) => s.get(key))) as
+        | StoredRequest
+        | undefined;
+      if (request && Date.now() - request.time <= maxAge) {
+        const response = await fetch(request.url, {
+          method: 'POST',
+          headers: { Accept: 'application/json', 'Content-Type': 'text/plain' },
+          body: request.body,
+        });
+        // Same outcomes the page treats as final: sent, duplicate, rejected
+        if (![200, 400, 403, 409].includes(response.status)) {
+          throw new Error(`relay delivery failed with ${response.status}`);
+        }
+      }
+      await _remove(key);
+    }
+  }
+  // One run at a time, in order, each stops at the first failure
+  async function deliver(): Promise<void> {
+    const run = queue.catch(() => undefined).then(_deliverAll);
+    queue = run;
+    return run;
+  }
+  function stop(): void {
+    globalThis.removeEventListener('message', _onMessage);
+    globalThis.removeEventListener('sync', _onSync);
+  }
+
+  return { deliver, stop };
+}
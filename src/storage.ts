@@ -0,0 +1,142 @@
+export interface StorageAdapter {
+  getItem: (key: string) => string | null;
+  setItem: (key: string, value: string) => void;
+  removeItem: (key: string) => void;
+  ready?: Promise<void>;
+  // Set by the client, called when a write that can't throw fails later
+  onError?: ((err: unknown) => void) | null;
+}
+export type StorageType =
+  | 'localStorage'
+  | 'sessionStorage'
+  | 'memory'
+  | 'indexedDB';
+
+const IDB_DEFAULT_NAME = 'data-cortex';
+const IDB_STORE_NAME = 'kv';
+
+export function createLocalStorage(): StorageAdapter {
+  return _webStorage(() => window.localStorage);
+}
+export function createSessionStorage(): StorageAdapter {
+  return _webStorage(() => window.sessionStorage);
+}
+export function createMemoryStorage(): StorageAdapter {
+  const map = new Map<string, string>();
+  return {
+    getItem: (key) => map.get(key) ?? null,
+    setItem: (key, value) => {
+      map.set(key, value);
+    },
+    removeItem: (key) => {
+      map.delete(key);
+    },
+  };
+}
+export function createIndexedDBStorage(dbName?: string): StorageAdapter {
+  // Reads are served from memory, IndexedDB is only written through to and
+  // loaded from once, so the adapter can keep the synchronous interface.
+  const cache = new Map<string, string>();
+  let db: IDBDatabase | null = null;
+
+  const ready = new Promise<void>((resolve, reject) => {
+    const request = indexedDB.open(dbName ?? IDB_DEFAULT_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(IDB_STORE_NAME);
+    };
+    request.onerror = () => {
+      reject(request.error ?? new Error('indexedDB open failed'));
+    };
+    request.onsuccess = () => {
+      db = request.result;
+      const tx = db.transaction(IDB_STORE_NAME, 'readonly');
+      const cursor_req = tx.objectStore(IDB_STORE_NAME).openCursor();
+      cursor_req.onsuccess = () => {
+        const cursor = cursor_req.result;
+        if (cursor) {
+          cache.set(String(cursor.key), String(cursor.value));
+          cursor.continue();
+        } else {
+          resolve();
+        }
+      };
+      cursor_req.onerror = () => {
+        reject(cursor_req.error ?? new Error('indexedDB read failed'));
+      };
+    };
+  });
+
+  function _write(key: string, value: string | null): void {
+    if (db) {
+      const tx = db.transaction(IDB_STORE_NAME, 'readwrite');
+      // An error also aborts the transaction, _fail only reports the first
+      tx.onerror = () => {
+        _fail(tx.error ?? new Error('indexedDB write failed'));
+      };
+      tx.onabort = () => {
+        _fail(tx.error ?? new Error('indexedDB write aborted'));
+      };
+      const store = tx.objectStore(IDB_STORE_NAME);
+      if (value === null) {
+        store.delete(key);
+      } else {
+        store.put(value, key);
+      }
+    }
+  }
+  function _fail(err: unknown): void {
+    if (db) {
+      // The cache keeps serving reads, nothing more is written
+      db = null;
+      adapter.onError?.(err);
+    }
+  }
+
+  const adapter: StorageAdapter = {
+    getItem: (key) => cache.get(key) ?? null,
+    setItem: (key, value) => {
+      cache.set(key, value);
+      _write(key, value);
+    },
+    removeItem: (key) => {
+      cache.delete(key);
+      _write(key, null);
+    },
+    ready,
+  };
+  return adapter;
+}
+export function createStorage(type: StorageType): StorageAdapter {
+  switch (type) {
+    case 'localStorage':
+      return createLocalStorage();
+    case 'sessionStorage':
+      return createSessionStorage();
+    case 'memory':
+      return createMemoryStorage();
+    case 'indexedDB':
+      return createIndexedDBStorage();
+  }
+}
+export function isStorageAvailable(storage: StorageAdapter): boolean {
+  const key = 'dc.__storage_test__';
+  try {
+    storage.setItem(key, key);
+    storage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function _webStorage(getStore: () => Storage): StorageAdapter {
+  return {
+    getItem: (key) => getStore().getItem(key),
+    setItem: (key, value) => {
+      getStore().setItem(key, value);
+    },
+    removeItem: (key) => {
+      getStore().removeItem(key);
+    },
+  };
+}
@@ -0,0 +1,184 @@
+import type { StorageAdapter } from './storage';
+
+export interface TabCoordinationCallbacks {
+  // This tab just became the one that sends the shared queue
+  onSender: () => void;
+  // Another tab added to the shared queue
+  onQueueChange: () => void;
+}
+export interface TabCoordinator {
+  isSender: () => boolean;
+  notify: () => void;
+  // Runs write under the queue lock, or right away without Web Locks
+  writeQueue: (write: () => void) => void;
+  stop: () => void;
+}
+
+interface Lease {
+  id: string;
+  expires: number;
+}
+
+const QUEUE_MESSAGE = 'queue';
+const LEASE_MS = 5000;
+const LEASE_RENEW_MS = 2000;
+
+export function startTabCoordination(
+  prefix: string,
+  storage: StorageAdapter,
+  queueKeys: string[],
+  callbacks: TabCoordinationCallbacks
+): TabCoordinator {
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+  const leaseKey = `${prefix}sender`;
+  const queueLockName = `${prefix}queue`;
+  let isSenderFlag = false;
+  let stopped = false;
+  let releaseLock: (() => void) | null = null;
+  let leaseInterval: number | null = null;
+  let queueWrite: (() => void) | null = null;
+  const abort =
+    typeof AbortController === 'function' ? new AbortController() : null;
+
+  const Channel = window.BroadcastChannel as
+    | typeof BroadcastChannel
+    | undefined;
+  const channel = Channel ? new Channel(`${prefix}tabs`) : null;
+  if (channel) {
+    channel.onmessage = _onMessage;
+  } else {
+    // Storage events only reach the other tabs, which is all we need
+    window.addEventListener('storage', _onStorage);
+  }
+
+  const locks = navigator.locks as LockManager | undefined;
+  if (locks) {
+    // Held until this tab goes away, then the browser hands it to the next one
+    const options: LockOptions = abort ? { signal: abort.signal } : {};
+    locks
+      .request(
+        leaseKey,
+        options,
+        async () =>
+          new Promise<void>((resolve) => {
+            releaseLock = resolve;
+            if (stopped) {
+              resolve();
+            } else {
+              _becomeSender();
+            }
+          })
+      )
+      .catch(() => {
+        // Aborted by stop() while waiting for the lock
+      });
+    // The page may be gone before the queue lock is granted
+    window.addEventListener('pagehide', _runQueueWrite);
+  } else {
+    _checkLease();
+    leaseInterval = window.setInterval(_checkLease, LEASE_RENEW_MS);
+    window.addEventListener('pagehide', _releaseLease);
+  }
+
+  function _becomeSender(): void {
+    if (!stopped && !isSenderFlag) {
+      isSenderFlag = true;
+      callbacks.onSender();
+    }
+  }
+  function _readLease(): Lease | null {
+    try {
+      return JSON.parse(storage.getItem(leaseKey) ?? 'null') as Lease | null;
+    } catch {
+      return null;
+    }
+  }
+  function _checkLease(): void {
+    const now = Date.now();
+    const lease = _readLease();
+    if (!lease || lease.id === id || lease.expires < now) {
+      try {
+        storage.setItem(
+          leaseKey,
+          JSON.stringify({ id, expires: now + LEASE_MS })
+        );
+      } catch {
+        return;
+      }
+      _becomeSender();
+    } else {
+      // Another tab claimed it first, or took over while we were frozen
+      isSenderFlag = false;
+    }
+  }
+  function _releaseLease(): void {
+    if (_readLease()?.id === id) {
+      try {
+        storage.removeItem(leaseKey);
+      } catch {
+        // It expires on its own
+      }
+    }
+  }
+  function _runQueueWrite(): void {
+    const write = queueWrite;
+    queueWrite = null;
+    if (!stopped) {
+      write?.();
+    }
+  }
+  function _onMessage(e: MessageEvent): void {
+    if (e.data === QUEUE_MESSAGE) {
+      callbacks.onQueueChange();
+    }
+  }
+  function _onStorage(e: StorageEvent): void {
+    if (e.key !== null && queueKeys.includes(e.key)) {
+      callbacks.onQueueChange();
+    }
+  }
+
+  function isSender(): boolean {
+    return isSenderFlag;
+  }
+  function notify(): void {
+    channel?.postMessage(QUEUE_MESSAGE);
+  }
+  function writeQueue(write: () => void): void {
+    if (!locks) {
+      write();
+    } else if (queueWrite) {
+      // Already waiting for the lock, the write reads the latest queue anyway
+      queueWrite = write;
+    } else {
+      queueWrite = write;
+      const options: LockOptions = abort ? { signal: abort.signal } : {};
+      locks
+        .request(queueLockName, options, async () => {
+          _runQueueWrite();
+        })
+        .catch(() => {
+          // Aborted by stop(), the client writes what is left itself
+        });
+    }
+  }
+  function stop(): void {
+    stopped = true;
+    isSenderFlag = false;
+    queueWrite = null;
+    abort?.abort();
+    releaseLock?.();
+    releaseLock = null;
+    channel?.close();
+    window.removeEventListener('storage', _onStorage);
+    window.removeEventListener('pagehide', _releaseLease);
+    window.removeEventListener('pagehide', _runQueueWrite);
+    if (leaseInterval !== null) {
+      clearInterval(leaseInterval);
+      leaseInterval = null;
+      _releaseLease();
+    }
+  }
+
+  return { isSender, notify, writeQueue, stop };
+}
@@ -0,0 +1,162 @@
+import type { LogLevel } from './client';
+import { SPEC_TAXONOMY_FIELDS } from './tracking-spec';
+
+export type SampledType = 'event' | 'economy' | 'message_send' | 'log';
+export type ThrottleReason = 'sampled' | 'rate_limited' | 'repeated';
+export interface RateLimit {
+  // Records per second once the burst is used up
+  rate: number;
+  burst?: number;
+}
+export interface ThrottleOptions {
+  sampling?: Partial<Record<SampledType, number>>;
+  eventRateLimit?: RateLimit;
+  logRateLimit?: RateLimit | Partial<Record<LogLevel, RateLimit>>;
+  collapseRepeatedLogs?: boolean;
+  reportInterval?: number;
+}
+export type DroppedCounts = Record<
+  'event' | 'log',
+  Partial<Record<ThrottleReason, number>>
+>;
+export interface Throttle {
+  check: (
+    type: SampledType,
+    deviceTag: string | null,
+    record: object
+  ) => ThrottleReason | null;
+  count: (kind: 'event' | 'log', reason: ThrottleReason) => void;
+  takeDropped: () => DroppedCounts | null;
+}
+
+interface RawRecord {
+  log_level?: unknown;
+  [key: string]: unknown;
+}
+interface Bucket {
+  tokens: number;
+  time: number;
+}
+
+const DEFAULT_BURST_SECONDS = 10;
+// Page paths and the like can make taxonomies unbounded
+const MAX_BUCKETS = 1000;
+
+export function createThrottle(
+  opts: ThrottleOptions,
+  now: () => number
+): Throttle {
+  const sampling = opts.sampling ?? {};
+  const { eventRateLimit, logRateLimit } = opts;
+  const buckets = new Map<string, Bucket>();
+  let dropped: DroppedCounts = { event: {}, log: {} };
+  let hasDropped = false;
+
+  function check(
+    type: SampledType,
+    deviceTag: string | null,
+    record: object
+  ): ThrottleReason | null {
+    const fields = record as RawRecord;
+    const kind = type === 'log' ? 'log' : 'event';
+    const rate = sampling[type];
+    // Until the device tag is loaded there's nothing stable to decide on
+    if (
+      rate !== undefined &&
+      deviceTag !== null &&
+      _sampleValue(`${deviceTag}:${type}`) >= rate
+    ) {
+      count(kind, 'sampled');
+      return 'sampled';
+    }
+    let key: string;
+    let limit: RateLimit | undefined;
+    if (kind === 'log') {
+      const level = String(fields.log_level ?? '');
+      key = `log:${level}`;
+      limit = _isRateLimit(logRateLimit)
+        ? logRateLimit
+        : logRateLimit?.[level as LogLevel];
+    } else {
+      key = `event:${SPEC_TAXONOMY_FIELDS.map((f) => fields[f] ?? '').join('|')}`;
+      limit = eventRateLimit;
+    }
+    if (limit && !_take(key, limit)) {
+      count(kind, 'rate_limited');
+      return 'rate_limited';
+    }
+    return null;
+  }
+  function _take(key: string, limit: RateLimit): boolean {
+    const time = now();
+    const burst =
+      limit.burst ?? Math.max(1, limit.rate * DEFAULT_BURST_SECONDS);
+    let bucket = buckets.get(key);
+    if (bucket) {
+      bucket.tokens = Math.min(
+        burst,
+        bucket.tokens + ((time - bucket.time) / 1000) * limit.rate
+      );
+      bucket.time = time;
+      buckets.delete(key);
+    } else {
+      bucket = { tokens: burst, time };
+      if (buckets.size >= MAX_BUCKETS) {
+        // Least recently used, a forgotten bucket just starts full again
+        const oldest = buckets.keys().next();
+        if (oldest.done !== true) {
+          buckets.delete(oldest.value);
+        }
+      }
+    }
+    buckets.set(key, bucket);
+    if (bucket.tokens < 1) {
+      return false;
+    }
+    bucket.tokens--;
+    return true;
+  }
+  function count(kind: 'event' | 'log', reason: ThrottleReason): void {
+    dropped[kind][reason] = (dropped[kind][reason] ?? 0) + 1;
+    hasDropped = true;
+  }
+  function takeDropped(): DroppedCounts | null {
+    if (!hasDropped) {
+      return null;
+    }
+    const ret = dropped;
+    dropped = { event: {}, log: {} };
+    hasDropped = false;
+    return ret;
+  }
+
+  return { check, count, takeDropped };
+}
+
+export function formatDropped(counts: DroppedCounts): string {
+  const parts: string[] = [];
+  for (const kind of ['event', 'log'] as const) {
+    const reasons = Object.entries(counts[kind]);
+    if (reasons.length > 0) {
+      const total = reasons.reduce((sum, [, n]) => sum + n, 0);
+      const detail = reasons.map(([reason, n]) => `${n} ${reason}`).join(', ');
+      parts.push(`${total} ${kind}s (${detail})`);
+    }
+  }
+  return `Data Cortex throttled ${parts.join(' and ')}`;
+}
+
+function _isRateLimit(
+  value: ThrottleOptions['logRateLimit']
+): value is RateLimit {
+  return typeof (value as RateLimit | undefined)?.rate === 'number';
+}
+// FNV-1a mapped onto [0, 1), the same device always lands in the same place
+function _sampleValue(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
@@ -0,0 +1,198 @@
+import type { FloatField, TaxonomyField } from './page-tracking';
+import type { ValidationDiagnostic } from './validate';
+
+export type SpecTaxonomyField = 'kingdom' | TaxonomyField;
+export interface SpecParam {
+  field: TaxonomyField | FloatField;
+  required?: boolean;
+  description?: string;
+}
+export interface SpecEvent {
+  description?: string;
+  // Fixed values, the event is identified by these
+  taxonomy: Partial<Record<SpecTaxonomyField, string>> & { kingdom: string };
+  // Sent with economyEvent() instead of event()
+  economy?: boolean;
+  // Named values the caller supplies, mapped onto a field
+  params?: Record<string, SpecParam>;
+}
+export interface TrackingSpec {
+  events: Record<string, SpecEvent>;
+}
+
+export const SPEC_TAXONOMY_FIELDS: readonly SpecTaxonomyField[] = [
+  'kingdom',
+  'phylum',
+  'class',
+  'order',
+  'family',
+  'genus',
+  'species',
+];
+export const SPEC_FLOAT_FIELDS: readonly FloatField[] = [
+  'float1',
+  'float2',
+  'float3',
+  'float4',
+];
+// Event and param names become method and property names in generated code
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+const MAX_TAXONOMY_LENGTH = 32;
+
+interface RawRecord {
+  type?: unknown;
+  kingdom?: unknown;
+  spend_currency?: unknown;
+  [key: string]: unknown;
+}
+// Any level of a spec as parsed from JSON
+interface RawSpec {
+  events?: unknown;
+  taxonomy?: unknown;
+  kingdom?: unknown;
+  economy?: unknown;
+  params?: unknown;
+  field?: unknown;
+  [key: string]: unknown;
+}
+
+// Checks a spec loaded from JSON, throws with every problem found
+export function parseTrackingSpec(value: unknown): TrackingSpec {
+  const events = _isObject(value) ? value.events : undefined;
+  if (!_isObject(events)) {
+    throw new Error('tracking spec must have an events object');
+  }
+  const errors: string[] = [];
+  const paths = new Map<string, string>();
+  for (const [name, entry] of Object.entries(events)) {
+    if (!IDENTIFIER_REGEX.test(name)) {
+      errors.push(`${name} is not a valid event name`);
+    }
+    if (!_isObject(entry) || !_isObject(entry.taxonomy)) {
+      errors.push(`${name} must have a taxonomy object`);
+      continue;
+    }
+    const { taxonomy } = entry;
+    if (typeof taxonomy.kingdom !== 'string') {
+      errors.push(`${name} must have a kingdom`);
+    }
+    for (const [field, fixed] of Object.entries(taxonomy)) {
+      if (!(SPEC_TAXONOMY_FIELDS as readonly string[]).includes(field)) {
+        errors.push(`${name}.taxonomy.${field} is not a taxonomy field`);
+      } else if (
+        typeof fixed !== 'string' ||
+        fixed.length > MAX_TAXONOMY_LENGTH
+      ) {
+        errors.push(
+          `${name}.taxonomy.${field} must be a string of at most ${MAX_TAXONOMY_LENGTH} characters`
+        );
+      }
+    }
+    const path = `${entry.economy === true ? 'economy:' : ''}${JSON.stringify(
+      SPEC_TAXONOMY_FIELDS.map((f) => taxonomy[f] ?? null)
+    )}`;
+    const other = paths.get(path);
+    if (other !== undefined) {
+      errors.push(`${name} has the same taxonomy as ${other}`);
+    }
+    paths.set(path, name);
+
+    const params = entry.params ?? {};
+    if (!_isObject(params)) {
+      errors.push(`${name}.params must be an object`);
+      continue;
+    }
+    const used = new Set<unknown>();
+    for (const [param, def] of Object.entries(params)) {
+      const field = _isObject(def) ? def.field : undefined;
+      if (!IDENTIFIER_REGEX.test(param)) {
+        errors.push(`${name}.${param} is not a valid param name`);
+      }
+      if (
+        !(SPEC_FLOAT_FIELDS as readonly unknown[]).includes(field) &&
+        !(SPEC_TAXONOMY_FIELDS as readonly unknown[]).includes(field)
+      ) {
+        errors.push(`${name}.${param} must map to a float or taxonomy field`);
+      } else if (
+        field === 'kingdom' ||
+        taxonomy[String(field)] !== undefined ||
+        used.has(field)
+      ) {
+        errors.push(`${name}.${param} maps to ${String(field)}, already used`);
+      }
+      used.add(field);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`invalid tracking spec: ${errors.join('; ')}`);
+  }
+  return value as TrackingSpec;
+}
+
+// Finds the most specific spec entry for an event and checks its fields
+export function checkTrackingSpec(
+  spec: TrackingSpec,
+  record: RawRecord
+): ValidationDiagnostic[] {
+  const economy =
+    record.type === 'economy' || record.spend_currency !== undefined;
+  let match: [string, SpecEvent] | null = null;
+  let matchSize = 0;
+  for (const [name, entry] of Object.entries(spec.events)) {
+    const fixed = Object.entries(entry.taxonomy);
+    if (
+      (entry.economy ?? false) === economy &&
+      fixed.length > matchSize &&
+      fixed.every(([field, value]) => record[field] === value)
+    ) {
+      match = [name, entry];
+      matchSize = fixed.length;
+    }
+  }
+  if (!match) {
+    const path = SPEC_TAXONOMY_FIELDS.map((f) => record[f])
+      .filter((v) => v !== undefined)
+      .join('.');
+    return [
+      {
+        field: 'kingdom',
+        rule: 'unknown_event',
+        value: record.kingdom,
+        message: `${economy ? 'economy event' : 'event'} ${path} is not in the tracking spec`,
+      },
+    ];
+  }
+
+  const [name, entry] = match;
+  const params = Object.entries(entry.params ?? {});
+  const ret: ValidationDiagnostic[] = [];
+  for (const [param, { field, required }] of params) {
+    if ((required ?? false) && record[field] === undefined) {
+      ret.push({
+        field,
+        rule: 'missing_field',
+        value: undefined,
+        message: `${name} requires ${field} (${param})`,
+      });
+    }
+  }
+  for (const field of [...SPEC_TAXONOMY_FIELDS, ...SPEC_FLOAT_FIELDS]) {
+    if (
+      record[field] !== undefined &&
+      entry.taxonomy[field as SpecTaxonomyField] === undefined &&
+      !params.some(([, p]) => p.field === field)
+    ) {
+      ret.push({
+        field,
+        rule: 'unexpected_field',
+        value: record[field],
+        message: `${name} does not use ${field}`,
+      });
+    }
+  }
+  return ret;
+}
+
+function _isObject(value: unknown): value is RawSpec {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
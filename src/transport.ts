@@ -0,0 +1,86 @@
+import { addGlobalListener, removeGlobalListener } from './env';
+
+export interface RetryOptions {
+  baseDelay?: number;
+  maxDelay?: number;
+  jitter?: number;
+  pauseWhenOffline?: boolean;
+}
+export interface Backoff {
+  failed: (retryAfter: number | null) => number;
+  reset: () => void;
+  retryCount: () => number;
+}
+export interface Connectivity {
+  isOffline: () => boolean;
+  stop: () => void;
+}
+
+const DEFAULT_BASE_DELAY_MS = 2 * 1000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_JITTER = 0.5;
+
+export function createBackoff(opts: RetryOptions): Backoff {
+  const baseDelay = opts.baseDelay ?? DEFAULT_BASE_DELAY_MS;
+  const maxDelay = opts.maxDelay ?? DEFAULT_MAX_DELAY_MS;
+  const jitter = Math.min(Math.max(opts.jitter ?? DEFAULT_JITTER, 0), 1);
+  let count = 0;
+
+  // Returns how long to wait before the next attempt
+  function failed(retryAfter: number | null): number {
+    count++;
+    if (retryAfter !== null) {
+      // A huge or bogus value mustn't hold delivery back longer than maxDelay
+      return Math.min(retryAfter, maxDelay);
+    }
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (count - 1));
+    // Spread out clients that failed together so they don't retry together
+    return Math.round(delay * (1 - jitter * Math.random()));
+  }
+  function reset(): void {
+    count = 0;
+  }
+
+  return { failed, reset, retryCount: () => count };
+}
+
+export function watchConnectivity(
+  onChange: (online: boolean) => void
+): Connectivity {
+  const onOnline = (): void => {
+    onChange(true);
+  };
+  const onOffline = (): void => {
+    onChange(false);
+  };
+  // Workers get these on their global scope too
+  addGlobalListener('online', onOnline);
+  addGlobalListener('offline', onOffline);
+
+  function isOffline(): boolean {
+    // Only trust an explicit false, some environments leave it undefined
+    return (navigator.onLine as boolean | undefined) === false;
+  }
+  function stop(): void {
+    removeGlobalListener('online', onOnline);
+    removeGlobalListener('offline', onOffline);
+  }
+
+  return { isOffline, stop };
+}
+
+// Retry-After is either delay seconds or an HTTP date
+export function parseRetryAfter(
+  value: string | null,
+  now: number
+): number | null {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - now, 0);
+}
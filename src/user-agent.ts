@@ -0,0 +1,274 @@
+import { globalScope } from './env';
+
+export interface DeviceInfo {
+  os: string;
+  os_ver: string;
+  browser: string;
+  browser_ver: string;
+  device_type: string;
+  device_family: string;
+  // Hardware model, only Client Hints have it
+  device_model?: string;
+}
+export interface DeviceDetailsOptions {
+  screen?: boolean;
+  language?: boolean;
+  timezone?: boolean;
+  connection?: boolean;
+}
+export interface DeviceDetails {
+  screen_width?: number;
+  screen_height?: number;
+  language?: string;
+  timezone?: string;
+  connection_type?: string;
+}
+
+interface UARule {
+  name: string;
+  // The first capture group is the version unless the rule has its own
+  match: RegExp;
+  version?: RegExp;
+}
+interface UABrand {
+  brand: string;
+  version: string;
+}
+interface UAHighEntropyValues {
+  platformVersion?: string;
+  model?: string;
+  fullVersionList?: UABrand[];
+}
+interface UAData {
+  brands?: UABrand[];
+  mobile?: boolean;
+  platform?: string;
+  getHighEntropyValues?: (hints: string[]) => Promise<UAHighEntropyValues>;
+}
+interface NetworkInformation {
+  type?: string;
+  effectiveType?: string;
+}
+
+const UNKNOWN = 'unknown';
+
+// First match wins, so more specific rules go above the ones they imitate
+const OS_RULES: readonly UARule[] = [
+  { name: 'windows', match: /Windows/, version: /Windows NT ([^ ;)]*)/ },
+  { name: 'ios', match: /iPhone|iPad|iPod/, version: / OS ([\d_]+)/ },
+  { name: 'android', match: /Android/, version: /Android ([^ ;)]*)/ },
+  { name: 'mac', match: /Mac OS X/, version: /Mac OS X ([^ ;)]*)/ },
+  { name: 'unix', match: /X11/ },
+  { name: 'linux', match: /Linux/ },
+];
+const BROWSER_RULES: readonly UARule[] = [
+  {
+    name: 'fbmessenger',
+    match: /MessengerForiOS|FB_IAB\/MESSENGER/,
+    version: /FBAV\/([^ ;)]*)/,
+  },
+  { name: 'facebook', match: /FBAN|FB_IAB/, version: /FBAV\/([^ ;)]*)/ },
+  { name: 'instagram', match: /Instagram ([^ ;)]*)/ },
+  { name: 'edge', match: /Edg(?:e|A|iOS)?\/([^ ;)]*)/ },
+  { name: 'opera', match: /(?:OPR|OPiOS|Opera)\/([^ ;)]*)/ },
+  { name: 'samsung', match: /SamsungBrowser\/([^ ;)]*)/ },
+  { name: 'yandex', match: /YaBrowser\/([^ ;)]*)/ },
+  { name: 'vivaldi', match: /Vivaldi\/([^ ;)]*)/ },
+  { name: 'firefox', match: /(?:Firefox|FxiOS)\/([^ ;)]*)/ },
+  { name: 'chrome', match: /(?:Chrome|CriOS)\/([^ ;)]*)/ },
+  { name: 'ie', match: /Trident/, version: /rv:([^ ;)]*)/ },
+  { name: 'ie', match: /MSIE ([^ ;)]*)/ },
+  { name: 'android', match: /Android/, version: /Version\/([^ ;)]*)/ },
+  { name: 'safari', match: /Safari/, version: /Version\/([^ ;)]*)/ },
+];
+const DEVICE_RULES: readonly UARule[] = [
+  { name: 'ipod', match: /iPod/ },
+  { name: 'iphone', match: /iPhone/ },
+  { name: 'ipad', match: /iPad/ },
+  { name: 'android', match: /Android.*Mobile/ },
+  { name: 'android_tablet', match: /Android/ },
+  { name: 'mobile', match: /Mobile/ },
+];
+// Client Hints brand names, anything else is GREASE or a Chromium fork
+const BRAND_NAMES: Record<string, string> = {
+  'Microsoft Edge': 'edge',
+  Opera: 'opera',
+  'Opera GX': 'opera',
+  Brave: 'brave',
+  'Samsung Internet': 'samsung',
+  YaBrowser: 'yandex',
+  Yandex: 'yandex',
+  Vivaldi: 'vivaldi',
+  'Google Chrome': 'chrome',
+  Chromium: 'chrome',
+};
+// Chrome OS and Linux stay as the UA string reports them, unix or linux
+const PLATFORM_NAMES: Record<string, string> = {
+  Windows: 'windows',
+  macOS: 'mac',
+  iOS: 'ios',
+  Android: 'android',
+};
+
+export function parseUserAgent(
+  ua: string,
+  maxTouchPoints?: number
+): DeviceInfo {
+  const os = _match(ua, OS_RULES);
+  const browser = _match(ua, BROWSER_RULES);
+  const device = _match(ua, DEVICE_RULES);
+  const ret: DeviceInfo = {
+    os: os?.name ?? UNKNOWN,
+    os_ver: os?.version ?? UNKNOWN,
+    browser: browser?.name ?? UNKNOWN,
+    browser_ver: browser?.version ?? UNKNOWN,
+    device_type: device?.name ?? 'desktop',
+    device_family: '',
+  };
+  if (ret.os === 'mac') {
+    // iPadOS 13+ asks for desktop sites, only the touch screen gives it away
+    if ((maxTouchPoints ?? 0) > 1) {
+      ret.os = 'ios';
+      ret.os_ver = /Version\/([^ ;)]*)/.exec(ua)?.[1] ?? UNKNOWN;
+      ret.device_type = 'ipad';
+    } else {
+      ret.os_ver = ret.os_ver.replace(/\.0$/, '');
+    }
+  }
+  ret.device_family = ret.device_type;
+  return ret;
+}
+
+export function detectDevice(): DeviceInfo {
+  const ret = parseUserAgent(navigator.userAgent, navigator.maxTouchPoints);
+  const data = _uaData();
+  if (data) {
+    const brand = _pickBrand(data.brands);
+    if (brand) {
+      ret.browser = brand.name;
+      ret.browser_ver = brand.version;
+    }
+    const os = PLATFORM_NAMES[data.platform ?? ''];
+    if (os !== undefined && os !== ret.os) {
+      // The UA version belongs to a different OS, wait for the hints
+      ret.os = os;
+      ret.os_ver = UNKNOWN;
+    }
+    if (os === 'android' && data.mobile !== undefined) {
+      ret.device_type = data.mobile ? 'android' : 'android_tablet';
+      ret.device_family = ret.device_type;
+    }
+  }
+  if (ret.browser === 'chrome' && _isBrave()) {
+    ret.browser = 'brave';
+  }
+  return ret;
+}
+
+// Versions and model the UA string no longer carries, null without hints
+export async function detectHighEntropy(): Promise<Partial<DeviceInfo> | null> {
+  const data = _uaData();
+  if (!data?.getHighEntropyValues) {
+    return null;
+  }
+  const values = await data.getHighEntropyValues([
+    'platformVersion',
+    'model',
+    'fullVersionList',
+  ]);
+  const ret: Partial<DeviceInfo> = {};
+  const os = PLATFORM_NAMES[data.platform ?? ''];
+  if (os !== undefined && values.platformVersion) {
+    const version =
+      os === 'windows'
+        ? _windowsVersion(values.platformVersion)
+        : values.platformVersion;
+    if (version) {
+      ret.os_ver = version;
+    }
+  }
+  if (values.model) {
+    ret.device_model = values.model;
+  }
+  const brand = _pickBrand(values.fullVersionList);
+  if (brand) {
+    ret.browser_ver = brand.version;
+  }
+  return ret;
+}
+
+export function detectDetails(opts: DeviceDetailsOptions): DeviceDetails {
+  const ret: DeviceDetails = {};
+  const { screen } = globalScope() as { screen?: Screen };
+  if (opts.screen !== false && screen) {
+    ret.screen_width = screen.width;
+    ret.screen_height = screen.height;
+  }
+  if (opts.language !== false && navigator.language) {
+    ret.language = navigator.language;
+  }
+  if (opts.timezone !== false) {
+    try {
+      const { timeZone } = Intl.DateTimeFormat().resolvedOptions();
+      if (timeZone) {
+        ret.timezone = timeZone;
+      }
+    } catch {
+      // No Intl time zone support
+    }
+  }
+  const { connection } = navigator as { connection?: NetworkInformation };
+  const connection_type = connection?.type ?? connection?.effectiveType;
+  if (opts.connection !== false && connection_type) {
+    ret.connection_type = connection_type;
+  }
+  return ret;
+}
+
+function _match(
+  ua: string,
+  rules: readonly UARule[]
+): { name: string; version: string } | null {
+  for (const rule of rules) {
+    const found = rule.match.exec(ua);
+    if (found) {
+      const version = rule.version ? rule.version.exec(ua)?.[1] : found[1];
+      return {
+        name: rule.name,
+        version:
+          version === undefined || version === ''
+            ? UNKNOWN
+            : version.replace(/_/g, '.'),
+      };
+    }
+  }
+  return null;
+}
+function _uaData(): UAData | null {
+  return (navigator as { userAgentData?: UAData }).userAgentData ?? null;
+}
+function _pickBrand(
+  brands: UABrand[] | undefined
+): { name: string; version: string } | null {
+  let ret: { name: string; version: string } | null = null;
+  for (const { brand, version } of brands ?? []) {
+    const name = BRAND_NAMES[brand];
+    if (name !== undefined && (ret === null || ret.name === 'chrome')) {
+      ret = { name, version };
+    }
+  }
+  return ret;
+}
+function _isBrave(): boolean {
+  return (navigator as { brave?: unknown }).brave !== undefined;
+}
+// Windows 11 still sends NT 10.0, only platformVersion tells them apart
+function _windowsVersion(platformVersion: string): string | null {
+  const major = parseInt(platformVersion, 10);
+  if (major >= 13) {
+    return '11.0';
+  } else if (major > 0) {
+    return '10.0';
+  }
+  return null;
+}
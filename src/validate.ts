@@ -0,0 +1,187 @@
+import {
+  STRING_PROP_LIST,
+  LONG_STRING_PROP_LIST,
+  NUMBER_PROP_LIST,
+  OTHER_PROP_LIST,
+  LOG_NUMBER_PROP_LIST,
+  LOG_STRING_PROP_MAP,
+  LOG_OTHER_PROP_LIST,
+} from './constants';
+import { checkTrackingSpec } from './tracking-spec';
+import type { TrackingSpec } from './tracking-spec';
+
+export type ValidationMode = 'off' | 'warn' | 'throw';
+export type ValidationRule =
+  | 'not_an_object'
+  | 'unknown_key'
+  | 'truncated'
+  | 'not_a_number'
+  | 'not_finite'
+  | 'invalid_datetime'
+  | 'unknown_event'
+  | 'missing_field'
+  | 'unexpected_field';
+export interface ValidationDiagnostic {
+  field: string;
+  rule: ValidationRule;
+  value: unknown;
+  message: string;
+}
+
+export class ValidationError extends Error {
+  readonly diagnostics: ValidationDiagnostic[];
+
+  constructor(diagnostics: ValidationDiagnostic[]) {
+    super(diagnostics.map((d) => d.message).join('; '));
+    this.name = 'ValidationError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+// to_tag is accepted as input and folded into to_list before sending
+const EVENT_KEY_LIST: readonly string[] = [
+  ...STRING_PROP_LIST,
+  ...LONG_STRING_PROP_LIST,
+  ...NUMBER_PROP_LIST,
+  ...OTHER_PROP_LIST,
+  'to_tag',
+];
+const LOG_KEY_LIST: readonly string[] = [
+  ...LOG_NUMBER_PROP_LIST,
+  ...Object.keys(LOG_STRING_PROP_MAP),
+  ...LOG_OTHER_PROP_LIST,
+];
+const DATETIME_START_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+const DATETIME_ZONE_REGEX = /(?:Z|[+-]\d{2}:?\d{2})$/;
+
+interface RawProps {
+  event_datetime?: unknown;
+  [key: string]: unknown;
+}
+
+export function validateEvent(
+  props: unknown,
+  spec?: TrackingSpec | null
+): ValidationDiagnostic[] {
+  if (typeof props !== 'object' || props === null) {
+    return [_notAnObject(props)];
+  }
+  const record = props as RawProps;
+  const ret: ValidationDiagnostic[] = [];
+  for (const key in record) {
+    if (!EVENT_KEY_LIST.includes(key) && record[key] !== undefined) {
+      ret.push({
+        field: key,
+        rule: 'unknown_key',
+        value: record[key],
+        message: `${key} is not a known event property and will be dropped`,
+      });
+    }
+  }
+  for (const p of STRING_PROP_LIST) {
+    _checkString(ret, record, p, 32);
+  }
+  for (const p of LONG_STRING_PROP_LIST) {
+    _checkString(ret, record, p, 64);
+  }
+  for (const p of NUMBER_PROP_LIST) {
+    _checkNumber(ret, record, p);
+  }
+  _checkDatetime(ret, record);
+  if (spec) {
+    ret.push(...checkTrackingSpec(spec, record));
+  }
+  return ret;
+}
+export function validateLog(props: unknown): ValidationDiagnostic[] {
+  if (typeof props !== 'object' || props === null) {
+    return [_notAnObject(props)];
+  }
+  const record = props as RawProps;
+  const ret: ValidationDiagnostic[] = [];
+  for (const key in record) {
+    if (!LOG_KEY_LIST.includes(key) && record[key] !== undefined) {
+      ret.push({
+        field: key,
+        rule: 'unknown_key',
+        value: record[key],
+        message: `${key} is not a known log property and will be dropped`,
+      });
+    }
+  }
+  for (const [p, max_len] of Object.entries(LOG_STRING_PROP_MAP)) {
+    _checkString(ret, record, p, max_len);
+  }
+  for (const p of LOG_NUMBER_PROP_LIST) {
+    _checkNumber(ret, record, p);
+  }
+  _checkDatetime(ret, record);
+  return ret;
+}
+
+function _notAnObject(value: unknown): ValidationDiagnostic {
+  return {
+    field: '',
+    rule: 'not_an_object',
+    value,
+    message: 'props must be an object',
+  };
+}
+function _checkString(
+  list: ValidationDiagnostic[],
+  record: RawProps,
+  field: string,
+  max_len: number
+): void {
+  const value = record[field];
+  if (value !== undefined && value !== null && String(value).length > max_len) {
+    list.push({
+      field,
+      rule: 'truncated',
+      value,
+      message: `${field} is longer than ${max_len} characters and will be truncated`,
+    });
+  }
+}
+function _checkNumber(
+  list: ValidationDiagnostic[],
+  record: RawProps,
+  field: string
+): void {
+  const value = record[field];
+  if (value !== undefined) {
+    const num = typeof value === 'number' ? value : parseFloat(String(value));
+    if (isNaN(num)) {
+      list.push({
+        field,
+        rule: 'not_a_number',
+        value,
+        message: `${field} is not a number and will be dropped`,
+      });
+    } else if (!isFinite(num)) {
+      list.push({
+        field,
+        rule: 'not_finite',
+        value,
+        message: `${field} is not finite and will be dropped`,
+      });
+    }
+  }
+}
+function _checkDatetime(list: ValidationDiagnostic[], record: RawProps): void {
+  const value = record.event_datetime;
+  if (
+    value !== undefined &&
+    (typeof value !== 'string' ||
+      !DATETIME_START_REGEX.test(value) ||
+      !DATETIME_ZONE_REGEX.test(value) ||
+      isNaN(Date.parse(value)))
+  ) {
+    list.push({
+      field: 'event_datetime',
+      rule: 'invalid_datetime',
+      value,
+      message: 'event_datetime must be an ISO 8601 string with a timezone',
+    });
+  }
+}
@@ -0,0 +1,262 @@
+import type { EventProps, LogEventProps } from './client';
+import type { TaxonomyField } from './page-tracking';
+
+export type VitalName = 'LCP' | 'CLS' | 'INP' | 'FCP' | 'TTFB' | 'NAV';
+export interface WebVitalsOptions {
+  kingdom?: string;
+  metricField?: TaxonomyField;
+  ratingField?: TaxonomyField;
+  attributionField?: TaxonomyField;
+  slowResourceThreshold?: number;
+  longTaskThreshold?: number;
+}
+export interface WebVitalsTracker {
+  pause: () => void;
+  stop: () => void;
+}
+
+interface LayoutShiftEntry extends PerformanceEntry {
+  value: number;
+  hadRecentInput: boolean;
+  sources?: { node?: Node | null }[];
+}
+interface InteractionEntry extends PerformanceEventTiming {
+  interactionId?: number;
+}
+
+// [good, poor] boundaries from web.dev
+const THRESHOLDS: Partial<Record<VitalName, [number, number]>> = {
+  LCP: [2500, 4000],
+  FCP: [1800, 3000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  TTFB: [800, 1800],
+};
+const CLS_SESSION_GAP_MS = 1000;
+const CLS_SESSION_MAX_MS = 5000;
+const MAX_TRACKED_INTERACTIONS = 10;
+const MAX_FIELD_LENGTH = 32;
+
+export function startWebVitals(
+  track: (props: EventProps) => void,
+  trackLog: (props: LogEventProps) => void,
+  opts: WebVitalsOptions,
+  isOwnRequest: (url: string) => boolean
+): WebVitalsTracker {
+  const kingdom = opts.kingdom ?? 'web_vitals';
+  const metricField = opts.metricField ?? 'phylum';
+  const ratingField = opts.ratingField ?? 'class';
+  const attributionField = opts.attributionField ?? 'order';
+
+  const reported = new Set<VitalName>();
+  const observers: PerformanceObserver[] = [];
+  let stopped = false;
+
+  let lcp: LargestContentfulPaint | null = null;
+  let clsValue = 0;
+  let clsSession = 0;
+  let clsSessionStart = 0;
+  let clsLastTime = 0;
+  let clsSource = '';
+  let clsSessionSource = '';
+  // Longest interactions, INP is roughly their 98th percentile
+  const interactions: { id: number; duration: number; name: string }[] = [];
+  let interactionCount = 0;
+
+  _observe('paint', (entry) => {
+    if (entry.name === 'first-contentful-paint') {
+      _report('FCP', entry.startTime, '');
+    }
+  });
+  _observe('largest-contentful-paint', (entry) => {
+    lcp = entry as LargestContentfulPaint;
+  });
+  const hasLayoutShift = _observe('layout-shift', (entry) => {
+    const shift = entry as LayoutShiftEntry;
+    if (!shift.hadRecentInput) {
+      if (
+        clsSession > 0 &&
+        (shift.startTime - clsLastTime > CLS_SESSION_GAP_MS ||
+          shift.startTime - clsSessionStart > CLS_SESSION_MAX_MS)
+      ) {
+        clsSession = 0;
+      }
+      if (clsSession === 0) {
+        clsSessionStart = shift.startTime;
+        clsSessionSource = _nodeName(shift.sources?.[0]?.node);
+      }
+      clsSession += shift.value;
+      clsLastTime = shift.startTime;
+      if (clsSession > clsValue) {
+        clsValue = clsSession;
+        clsSource = clsSessionSource;
+      }
+    }
+  });
+  _observe('event', _onInteraction, { durationThreshold: 40 });
+  _observe('first-input', _onInteraction);
+  _observe('navigation', (entry) => {
+    const nav = entry as PerformanceNavigationTiming;
+    _report('TTFB', nav.responseStart, nav.type);
+    if (nav.loadEventEnd > 0) {
+      _report('NAV', nav.loadEventEnd, nav.type, {
+        float2: nav.domContentLoadedEventEnd,
+        float3: nav.domInteractive,
+        float4: nav.transferSize,
+      });
+    }
+  });
+  const { slowResourceThreshold, longTaskThreshold } = opts;
+  if (slowResourceThreshold !== undefined) {
+    _observe('resource', (entry) => {
+      const resource = entry as PerformanceResourceTiming;
+      // A slow API reporting its own slowness would never stop
+      if (
+        resource.duration >= slowResourceThreshold &&
+        !isOwnRequest(resource.name)
+      ) {
+        trackLog({
+          log_line: `Slow resource: ${resource.name}`,
+          log_level: 'warn',
+          filename: resource.name,
+          response_ms: Math.round(resource.duration),
+          repsonse_bytes: resource.transferSize,
+        });
+      }
+    });
+  }
+  if (longTaskThreshold !== undefined) {
+    _observe('longtask', (entry) => {
+      if (entry.duration >= longTaskThreshold) {
+        trackLog({
+          log_line: `Long task: ${Math.round(entry.duration)}ms`,
+          log_level: 'warn',
+          response_ms: Math.round(entry.duration),
+        });
+      }
+    });
+  }
+  document.addEventListener('visibilitychange', _onVisibilityChange);
+
+  function _observe(
+    type: string,
+    onEntry: (entry: PerformanceEntry) => void,
+    extra?: Record<string, unknown>
+  ): boolean {
+    const Observer = window.PerformanceObserver as
+      | typeof PerformanceObserver
+      | undefined;
+    // Safari before 12.1 and older Chromium have no supportedEntryTypes
+    const { supportedEntryTypes } = (Observer ?? {}) as {
+      supportedEntryTypes?: readonly string[];
+    };
+    if (!Observer || supportedEntryTypes?.includes(type) !== true) {
+      return false;
+    }
+    try {
+      const observer = new Observer((list) => {
+        if (!stopped) {
+          list.getEntries().forEach(onEntry);
+        }
+      });
+      observer.observe({ type, buffered: true, ...extra });
+      observers.push(observer);
+      return true;
+    } catch {
+      // Entry type listed but not observable in this browser
+      return false;
+    }
+  }
+  function _onInteraction(entry: PerformanceEntry): void {
+    const event = entry as InteractionEntry;
+    const id = event.interactionId ?? 0;
+    if (id === 0 && entry.entryType !== 'first-input') {
+      return;
+    }
+    const existing = interactions.find((i) => i.id === id);
+    if (existing) {
+      existing.duration = Math.max(existing.duration, entry.duration);
+    } else {
+      interactionCount++;
+      interactions.push({ id, duration: entry.duration, name: entry.name });
+    }
+    interactions.sort((a, b) => b.duration - a.duration);
+    interactions.splice(MAX_TRACKED_INTERACTIONS);
+  }
+  function _report(
+    name: VitalName,
+    value: number,
+    attribution: string,
+    extra?: EventProps
+  ): void {
+    if (stopped || reported.has(name)) {
+      return;
+    }
+    reported.add(name);
+    const props: EventProps = Object.assign({ kingdom }, extra);
+    props[metricField] = name;
+    const rating = _rate(name, value);
+    if (rating) {
+      props[ratingField] = rating;
+    }
+    if (attribution) {
+      props[attributionField] = attribution.slice(0, MAX_FIELD_LENGTH);
+    }
+    props.float1 = name === 'CLS' ? value : Math.round(value);
+    track(props);
+  }
+  function _onVisibilityChange(): void {
+    if (document.visibilityState === 'hidden') {
+      pause();
+    }
+  }
+  function pause(): void {
+    // LCP, CLS and INP keep changing until the page is first hidden
+    if (lcp) {
+      _report('LCP', lcp.startTime, _nodeName(lcp.element) || lcp.url);
+    }
+    if (hasLayoutShift) {
+      _report('CLS', clsValue, clsSource);
+    }
+    if (interactions.length > 0) {
+      const index = Math.min(
+        Math.floor(interactionCount / 50),
+        interactions.length - 1
+      );
+      const inp = interactions[index];
+      if (inp) {
+        _report('INP', inp.duration, inp.name);
+      }
+    }
+  }
+  function stop(): void {
+    stopped = true;
+    for (const observer of observers) {
+      observer.disconnect();
+    }
+    document.removeEventListener('visibilitychange', _onVisibilityChange);
+  }
+
+  return { pause, stop };
+}
+
+function _rate(name: VitalName, value: number): string {
+  const threshold = THRESHOLDS[name];
+  if (!threshold) {
+    return '';
+  } else if (value <= threshold[0]) {
+    return 'good';
+  } else if (value <= threshold[1]) {
+    return 'needs-improvement';
+  }
+  return 'poor';
+}
+function _nodeName(node: Node | null | undefined): string {
+  if (!node) {
+    return '';
+  }
+  const el = node as Element;
+  return el.id
+    ? `${node.nodeName.toLowerCase()}#${el.id}`
+    : node.nodeName.toLowerCase();
+}
@@ -0,0 +1,13 @@
+// Entry point for Web Workers and service workers. They have no window,
+// document or localStorage, so queues are kept in IndexedDB by default and
+// page tracking and web vitals are unavailable.
+import { startRelay } from './relay';
+
+import DataCortex from './index';
+
+export * from './index';
+export type { ServiceWorkerRelayOptions, Relay } from './relay';
+export { startRelay };
+
+const WorkerDataCortex = { ...DataCortex, startRelay };
+export default WorkerDataCortex;
@@ -113,6 +113,18 @@ async function runAllTestsWithCoverage(): Promise<void> {
     );
     console.log('✅ User agent parsing tests completed\n');
 
+    console.log('🛠️  Running tracking generator tests...');
+    await runCommand(
+      'npx',
+      ['tsx', join(__dirname, 'generate-tracking-test.ts')],
+      30000
+    );
+    console.log('✅ Tracking generator tests completed\n');
+
+    console.log('👷 Running worker and relay tests...');
+    await runCommand('npx', ['tsx', join(__dirname, 'worker-tests.ts')], 20000);
+    console.log('✅ Worker and relay tests completed\n');
+
     // 4. Run coverage tests (mocked network)
     console.log('📊 Running coverage tests...');
     await runCommand(
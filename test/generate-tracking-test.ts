@@ -0,0 +1,155 @@
+#!/usr/bin/env tsx
+
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ts from 'typescript';
+
+console.log('🛠️  Running Tracking Generator Tests...\n');
+
+const root = join(__dirname, '..');
+const outDir = mkdtempSync(join(tmpdir(), 'dc-generate-tracking-'));
+const outPath = join(outDir, 'track.ts');
+
+class GeneratorTestRunner {
+  private passed = 0;
+  private failed = 0;
+
+  test(name: string, testFn: () => void): void {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      this.passed++;
+    } catch (error: any) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  printSummary(): void {
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+const runner = new GeneratorTestRunner();
+
+function assertEqual(actual: any, expected: any, message?: string): void {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+function generate(specPath: string): string {
+  return execFileSync(
+    process.execPath,
+    [join(root, 'dist', 'generate-tracking.js'), specPath, outPath],
+    { encoding: 'utf8', stdio: 'pipe' }
+  );
+}
+
+runner.test('Generate from the fixture spec with the built bin', () => {
+  const output = generate(join(__dirname, 'fixtures', 'tracking-spec.json'));
+  assertEqual(output.trim(), `Wrote 2 tracking functions to ${outPath}`);
+});
+
+runner.test('Generated wrapper type-checks against the package types', () => {
+  writeFileSync(
+    join(outDir, 'usage.ts'),
+    [
+      "import DataCortex from 'browser-data-cortex';",
+      "import { createTrack, track } from './track';",
+      '',
+      "track.levelComplete({ level: 3, score: 1200, world: 'forest' });",
+      'createTrack(',
+      "  DataCortex.createClient({ apiKey: 'key', orgName: 'org' })",
+      ").buyCoins({ coins: 100, spend_currency: 'USD', spend_amount: 0.99 });",
+      '// @ts-expect-error level is required',
+      'track.levelComplete({ score: 1200 });',
+      '// @ts-expect-error level is a number',
+      "track.levelComplete({ level: '3' });",
+      '',
+    ].join('\n')
+  );
+  const program = ts.createProgram([join(outDir, 'usage.ts')], {
+    target: ts.ScriptTarget.ES2018,
+    lib: ['lib.es2018.d.ts', 'lib.dom.d.ts'],
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Node10,
+    strict: true,
+    exactOptionalPropertyTypes: true,
+    noUncheckedIndexedAccess: true,
+    esModuleInterop: true,
+    skipLibCheck: true,
+    noEmit: true,
+    types: [],
+    baseUrl: outDir,
+    paths: { 'browser-data-cortex': [join(root, 'dist', 'index.d.ts')] },
+  });
+  const messages = ts
+    .getPreEmitDiagnostics(program)
+    .map((d) => ts.flattenDiagnosticMessageText(d.messageText, '\n'));
+  assertEqual(messages, []);
+});
+
+runner.test('Generated methods send the spec taxonomy and params', () => {
+  const { outputText } = ts.transpileModule(readFileSync(outPath, 'utf8'), {
+    compilerOptions: { module: ts.ModuleKind.CommonJS },
+  });
+  const module = { exports: {} as any };
+  new Function('require', 'module', 'exports', outputText)(
+    () => ({ default: {} }),
+    module,
+    module.exports
+  );
+  const calls: [string, unknown][] = [];
+  const track = module.exports.createTrack({
+    event: (props: unknown) => calls.push(['event', props]),
+    economyEvent: (props: unknown) => calls.push(['economyEvent', props]),
+  });
+  track.levelComplete({ level: 3 });
+  track.buyCoins({ coins: 100, spend_currency: 'USD', spend_amount: 0.99 });
+  assertEqual(calls, [
+    ['event', { kingdom: 'progress', phylum: 'level', float1: 3 }],
+    [
+      'economyEvent',
+      {
+        kingdom: 'store',
+        phylum: 'coins',
+        spend_currency: 'USD',
+        spend_amount: 0.99,
+        float1: 100,
+      },
+    ],
+  ]);
+});
+
+runner.test('Reject an invalid spec', () => {
+  const specPath = join(outDir, 'invalid.json');
+  writeFileSync(
+    specPath,
+    JSON.stringify({ events: { levelComplete: { taxonomy: {} } } })
+  );
+  let stderr = '';
+  try {
+    generate(specPath);
+  } catch (error: any) {
+    stderr = String(error.stderr);
+  }
+  assertEqual(
+    stderr.trim(),
+    'invalid tracking spec: levelComplete must have a kingdom'
+  );
+});
+
+rmSync(outDir, { recursive: true, force: true });
+console.log('\n🏁 Tracking Generator Tests Complete\n');
+runner.printSummary();
+
+export {};
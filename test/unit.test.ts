@@ -1,3 +1,6 @@
+import { createServer } from 'http';
+import type { AddressInfo } from 'net';
+import { gunzipSync } from 'zlib';
 import { JSDOM } from 'jsdom';
 import './crypto-shim';
 
@@ -75,6 +78,11 @@ Object.defineProperty((global as any).window, 'localStorage', {
 });
 (global as any).XMLHttpRequest = dom.window.XMLHttpRequest;
 
+// Kept for the tests that talk to a local server
+const nodeFetch = (global as any).fetch;
+const nodeSetTimeout = global.setTimeout;
+const nodeClearTimeout = global.clearTimeout;
+
 // Add fetch to global environment (using a simple implementation for testing)
 (global as any).fetch =
   dom.window.fetch ||
@@ -340,6 +348,1771 @@ runner.test('should handle number conversion', () => {
   assertEqual(lastEvent.float3, undefined);
 });
 
+runner.test('should keep createClient instances independent', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+  });
+  const widget = DataCortex.createClient({
+    apiKey: 'widget-key',
+    orgName: 'widget-org',
+  });
+
+  widget.event({ kingdom: 'widget-kingdom' });
+  DataCortex.event({ kingdom: 'host-kingdom' });
+
+  const hostList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  const widgetList = JSON.parse(
+    (global as any).localStorage.getItem('dc.widget-org.event_list') || '[]'
+  );
+  assert(
+    hostList.every((e: any) => e.kingdom !== 'widget-kingdom'),
+    'Host queue should not contain widget events'
+  );
+  assertEqual(widgetList[widgetList.length - 1].kingdom, 'widget-kingdom');
+  assert(widget.getDeviceTag() !== null, 'Widget should have a device tag');
+  assertEqual(widget.isReady(), true);
+  widget.destroy();
+});
+
+runner.test('should drain queues with sendBeacon on pagehide', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+  });
+  DataCortex.event({ kingdom: 'before-unload' });
+  DataCortex.log('last words');
+
+  const beacons: { url: string; data: any }[] = [];
+  (global as any).navigator.sendBeacon = (url: string, data: any) => {
+    beacons.push({ url, data });
+    return true;
+  };
+  try {
+    dom.window.dispatchEvent(new dom.window.Event('pagehide'));
+  } finally {
+    delete (global as any).navigator.sendBeacon;
+  }
+
+  assert(
+    beacons.some((b) => b.url.includes('/test-org/1/track')),
+    'Events should be sent with a beacon'
+  );
+  assert(
+    beacons.some((b) => b.url.includes('/test-org/1/app_log')),
+    'Logs should be sent with a beacon'
+  );
+  assertEqual(
+    JSON.parse((global as any).localStorage.getItem('dc.event_list')).length,
+    0
+  );
+  assertEqual(
+    JSON.parse((global as any).localStorage.getItem('dc.log_list')).length,
+    0
+  );
+});
+
+runner.test('should keep events queued when the beacon is rejected', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+  });
+  DataCortex.event({ kingdom: 'rejected' });
+
+  (global as any).navigator.sendBeacon = () => false;
+  try {
+    dom.window.dispatchEvent(new dom.window.Event('pagehide'));
+  } finally {
+    delete (global as any).navigator.sendBeacon;
+  }
+
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  assert(
+    eventList.some((e: any) => e.kingdom === 'rejected'),
+    'Rejected beacon should leave events in storage'
+  );
+});
+
+runner.test('should keep memory storage out of localStorage', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    storage: 'memory',
+  });
+  DataCortex.event({ kingdom: 'in-memory' });
+
+  assertEqual((global as any).localStorage.getItem('dc.event_list'), null);
+  assertEqual((global as any).localStorage.getItem('dc.device_tag'), null);
+  assertEqual(typeof DataCortex.getDeviceTag(), 'string');
+});
+
+runner.test('should drop oldest events past maxEvents', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    maxEvents: 3,
+  });
+  for (let i = 1; i <= 5; i++) {
+    DataCortex.event({ kingdom: `bounded-${i}` });
+  }
+
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  assertEqual(eventList.length, 3);
+  assertEqual(eventList[0].kingdom, 'bounded-3');
+  assertEqual(eventList[2].kingdom, 'bounded-5');
+});
+
+runner.test('should drop oldest logs past maxQueueBytes', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    maxQueueBytes: 2000,
+  });
+  for (let i = 0; i < 5; i++) {
+    DataCortex.log(`${i}`.repeat(600));
+  }
+
+  const json = (global as any).localStorage.getItem('dc.log_list');
+  const logList = JSON.parse(json);
+  assert(json.length <= 2000, `Log queue should be capped, got ${json.length}`);
+  assertEqual(logList[logList.length - 1].log_line[0], '4');
+});
+
+runner.test('should fall back to memory when localStorage throws', () => {
+  const errors: unknown[][] = [];
+  const throwing = {
+    getItem: () => null,
+    setItem: () => {
+      throw new Error('QuotaExceededError');
+    },
+    removeItem: () => {},
+  };
+  Object.defineProperty((global as any).window, 'localStorage', {
+    value: throwing,
+    writable: true,
+    configurable: true,
+  });
+  try {
+    DataCortex.init({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'test-org',
+      errorLog: (...args: unknown[]) => errors.push(args),
+    });
+    DataCortex.event({ kingdom: 'still-tracked' });
+  } finally {
+    Object.defineProperty((global as any).window, 'localStorage', {
+      value: localStorageProxy,
+      writable: true,
+      configurable: true,
+    });
+    DataCortex.init({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'test-org',
+      errorLog: () => {},
+    });
+  }
+
+  assertEqual(DataCortex.isReady(), true);
+  assert(errors.length > 0, 'Fallback should be reported to errorLog');
+});
+
+runner.test(
+  'should fall back to memory when IndexedDB writes fail',
+  async () => {
+    const tick = (): Promise<void> =>
+      new Promise((resolve) => setImmediate(resolve));
+    let writes = 0;
+    // Opens and reads fine, every write transaction fails with a quota error
+    const db = {
+      transaction: () => {
+        const tx: any = {
+          error: null,
+          objectStore: () => ({
+            openCursor: () => {
+              const req: any = { result: null };
+              setImmediate(() => req.onsuccess());
+              return req;
+            },
+            put: () => {
+              writes++;
+              setImmediate(() => {
+                tx.error = new Error('QuotaExceededError');
+                tx.onerror?.();
+                tx.onabort?.();
+              });
+            },
+            delete: () => {},
+          }),
+        };
+        return tx;
+      },
+    };
+    (global as any).indexedDB = {
+      open: () => {
+        const req: any = { result: db };
+        setImmediate(() => req.onsuccess());
+        return req;
+      },
+    };
+    const errors: unknown[][] = [];
+    try {
+      const client = DataCortex.createClient({
+        apiKey: process.env.DC_API_KEY,
+        orgName: 'idb-org',
+        storage: 'indexedDB',
+        sessionEvents: false,
+        errorLog: (...args: unknown[]) => errors.push(args),
+      });
+      // Open, cursor read, then the first writes fail
+      for (let i = 0; i < 4; i++) {
+        await tick();
+      }
+      const failedWrites = writes;
+      assert(failedWrites > 0, 'Stored state is written through');
+      client.event({ kingdom: 'after-failure' });
+      assertEqual(writes, failedWrites, 'Nothing more goes to IndexedDB');
+      assertEqual(
+        errors.filter((e) => String(e[0]).startsWith('Storage failed')).length,
+        1,
+        'The failure is reported once'
+      );
+      assert(
+        client.getQueue().some((e) => e.kingdom === 'after-failure'),
+        'Events are still queued in memory'
+      );
+      client.destroy();
+    } finally {
+      delete (global as any).indexedDB;
+    }
+  }
+);
+
+runner.test('should keep the session across reloads', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+  });
+  const sessionKey = DataCortex.getSessionKey();
+  DataCortex.event({ kingdom: 'first-page' });
+
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+  });
+  DataCortex.event({ kingdom: 'second-page' });
+
+  assertEqual(DataCortex.getSessionKey(), sessionKey);
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  const lastEvent = eventList[eventList.length - 1];
+  assertEqual(lastEvent.group_tag, sessionKey);
+  assertEqual(
+    eventList.filter((e: any) => e.kingdom === 'session_start').length,
+    1
+  );
+});
+
+runner.test('should end an inactive session and start a new one', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    sessionTimeout: 60 * 1000,
+  });
+  DataCortex.event({ kingdom: 'before-idle' });
+  const oldKey = DataCortex.getSessionKey();
+
+  const stored = JSON.parse((global as any).localStorage.getItem('dc.session'));
+  stored.start_time -= 10 * 60 * 1000;
+  stored.last_time -= 5 * 60 * 1000;
+  (global as any).localStorage.setItem('dc.session', JSON.stringify(stored));
+
+  DataCortex.event({ kingdom: 'after-idle' });
+
+  const newKey = DataCortex.getSessionKey();
+  assert(newKey !== oldKey, 'Session key should rotate after inactivity');
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  const end = eventList.find((e: any) => e.kingdom === 'session_end');
+  assertEqual(end.group_tag, oldKey);
+  assertEqual(end.float1, 5 * 60);
+  assertEqual(end.float2, 1);
+  const start = eventList[eventList.length - 2];
+  assertEqual(start.kingdom, 'session_start');
+  assertEqual(start.group_tag, newKey);
+});
+
+runner.test('should rotate the session with startNewSession', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+  });
+  const oldKey = DataCortex.getSessionKey();
+  DataCortex.startNewSession();
+
+  assert(DataCortex.getSessionKey() !== oldKey, 'Session key should change');
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  assertEqual(eventList[eventList.length - 2].kingdom, 'session_end');
+  assertEqual(eventList[eventList.length - 1].kingdom, 'session_start');
+});
+
+runner.test('should buffer in memory until optIn', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    requireConsent: true,
+  });
+  DataCortex.event({ kingdom: 'before-consent' });
+
+  assertEqual(DataCortex.isReady(), false);
+  assertEqual(DataCortex.getDeviceTag(), null);
+  assertEqual((global as any).localStorage.getItem('dc.event_list'), null);
+  assertEqual((global as any).localStorage.getItem('dc.device_tag'), null);
+
+  DataCortex.optIn();
+
+  assertEqual(DataCortex.isReady(), true);
+  assertEqual((global as any).localStorage.getItem('dc.consent'), '"granted"');
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  assert(
+    eventList.some((e: any) => e.kingdom === 'before-consent'),
+    'Buffered events should be persisted after optIn'
+  );
+  assert(
+    eventList.some((e: any) => e.type === 'install'),
+    'Install should be sent after optIn'
+  );
+});
+
+runner.test('should purge stored data and stay off after optOut', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+  });
+  DataCortex.addUserTag('user123');
+  DataCortex.event({ kingdom: 'tracked' });
+  DataCortex.log('tracked');
+
+  DataCortex.optOut();
+
+  for (const key of ['event_list', 'log_list', 'user_tag', 'device_tag']) {
+    assertEqual((global as any).localStorage.getItem(`dc.${key}`), null);
+  }
+  assertEqual(DataCortex.isReady(), false);
+
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+  });
+  DataCortex.event({ kingdom: 'after-opt-out' });
+  let hookCalls = 0;
+  const removeHook = DataCortex.beforeLog(() => {
+    hookCalls++;
+  });
+  DataCortex.log('after-opt-out');
+  DataCortex.logger.error('after-opt-out');
+  removeHook();
+  assertEqual(hookCalls, 0, 'Log hooks never see records after optOut');
+  assertEqual(DataCortex.isReady(), false);
+  assertEqual((global as any).localStorage.getItem('dc.event_list'), null);
+  assertEqual((global as any).localStorage.getItem('dc.device_tag'), null);
+});
+
+runner.test('should keep an optOut made before init', () => {
+  // A fresh copy, the default client above is already initialized
+  const path = require.resolve('../dist/browser-data-cortex.min.js');
+  const cached = require.cache[path];
+  const win = (global as any).window;
+  const { DataCortex: globalClient } = win;
+  delete require.cache[path];
+  const fresh = require(path).default;
+  require.cache[path] = cached;
+  win.DataCortex = globalClient;
+
+  localStorageProxy.setItem('dc.device_tag', '"previous"');
+  fresh.optOut();
+  fresh.init({ apiKey: process.env.DC_API_KEY, orgName: 'test-org' });
+  fresh.event({ kingdom: 'after-opt-out' });
+
+  assertEqual(fresh.isReady(), false);
+  assertEqual(localStorageProxy.getItem('dc.consent'), '"denied"');
+  assertEqual(localStorageProxy.getItem('dc.device_tag'), null);
+  assertEqual(localStorageProxy.getItem('dc.event_list'), null);
+  assertEqual(fresh.getQueue().length, 0);
+  fresh.destroy();
+});
+
+runner.test('should honor Global Privacy Control when configured', () => {
+  (global as any).navigator.globalPrivacyControl = true;
+  try {
+    DataCortex.init({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'test-org',
+      respectDoNotTrack: true,
+    });
+  } finally {
+    delete (global as any).navigator.globalPrivacyControl;
+  }
+  assertEqual(DataCortex.isReady(), false);
+  assertEqual((global as any).localStorage.getItem('dc.device_tag'), null);
+});
+
+runner.test('should run beforeEvent hooks in order and drop on null', () => {
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    beforeEvent: [
+      (record: any, type: string) => {
+        if (type === 'event' && record.kingdom === 'level_up') {
+          record.kingdom = 'progression';
+          record.phylum = 'level_up_with_a_very_long_name_past_32_chars';
+        }
+      },
+    ],
+  });
+  const types: string[] = [];
+  const removeHook = DataCortex.beforeEvent((record: any, type: string) => {
+    types.push(type);
+    return record.kingdom === 'noisy' ? null : record;
+  });
+  try {
+    DataCortex.event({ kingdom: 'level_up' });
+    DataCortex.event({ kingdom: 'noisy' });
+    DataCortex.economyEvent({ spend_currency: 'gold', spend_amount: 5 });
+  } finally {
+    removeHook();
+  }
+
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  const mapped = eventList.find((e: any) => e.kingdom === 'progression');
+  assertEqual(mapped.phylum.length, 32);
+  assert(
+    !eventList.some((e: any) => e.kingdom === 'noisy'),
+    'Dropped events should not be queued'
+  );
+  assertEqual(types.join(','), 'event,event,economy');
+});
+
+runner.test('should scrub logs and survive throwing hooks', () => {
+  const errors: unknown[][] = [];
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    errorLog: (...args: unknown[]) => errors.push(args),
+  });
+  const removeThrowing = DataCortex.beforeLog(() => {
+    throw new Error('broken hook');
+  });
+  const removeScrub = DataCortex.beforeLog((record: any) => ({
+    ...record,
+    log_line: record.log_line.replace(/\S+@\S+/g, '[email]'),
+  }));
+  try {
+    DataCortex.log('login failed for someone@example.com');
+  } finally {
+    removeThrowing();
+    removeScrub();
+  }
+
+  const logList = JSON.parse(
+    (global as any).localStorage.getItem('dc.log_list') || '[]'
+  );
+  assertEqual(logList[logList.length - 1].log_line, 'login failed for [email]');
+  assert(errors.length > 0, 'Hook errors should go to errorLog');
+});
+
+runner.test('should merge defaults and scopes into events', () => {
+  const errors: unknown[][] = [];
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    validation: 'warn',
+    errorLog: (...args: unknown[]) => errors.push(args),
+  });
+  DataCortex.setDefaults({
+    kingdom: 'arena',
+    phylum: 'p'.repeat(40),
+    float4: '7' as any,
+    spend_type: 'bonus',
+  });
+  try {
+    DataCortex.event({ class: 'match_start' });
+    DataCortex.withScope({ kingdom: 'tutorial' }, () => {
+      DataCortex.event({ class: 'step' });
+    });
+    DataCortex.event({ kingdom: 'explicit', class: 'override' });
+    DataCortex.clearDefaults(['phylum']);
+    DataCortex.economyEvent({ spend_currency: 'gold', spend_amount: 1 });
+  } finally {
+    DataCortex.clearDefaults();
+  }
+  DataCortex.event({ class: 'after-clear' });
+
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  const byClass = (c: string): any => eventList.find((e: any) => e.class === c);
+  assertEqual(byClass('match_start').kingdom, 'arena');
+  assertEqual(byClass('match_start').phylum.length, 32);
+  assertEqual(byClass('match_start').float4, 7);
+  assertEqual(byClass('match_start').spend_type, undefined);
+  assert(
+    errors.some((e) => (e[1] as any)[0]?.field === 'phylum'),
+    'Defaults are validated with the event'
+  );
+  assertEqual(byClass('step').kingdom, 'tutorial');
+  assertEqual(byClass('override').kingdom, 'explicit');
+  assertEqual(byClass('after-clear').kingdom, undefined);
+  const economy = eventList.find((e: any) => e.type === 'economy');
+  assertEqual(economy.kingdom, 'arena');
+  assertEqual(economy.spend_type, 'bonus');
+  assertEqual(economy.phylum, undefined);
+});
+
+runner.test('should persist defaults across reloads when configured', () => {
+  const opts = {
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'defaults-org',
+    persistDefaults: true,
+  };
+  const firstPage = DataCortex.createClient(opts);
+  firstPage.setDefaults({ kingdom: 'persisted' });
+  firstPage.destroy();
+
+  const secondPage = DataCortex.createClient(opts);
+  secondPage.event({ class: 'reloaded' });
+  secondPage.clearDefaults();
+  secondPage.destroy();
+
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.defaults-org.event_list') || '[]'
+  );
+  assertEqual(eventList[eventList.length - 1].kingdom, 'persisted');
+  assertEqual(
+    (global as any).localStorage.getItem('dc.defaults-org.defaults'),
+    '{}'
+  );
+});
+
+runner.test('should report validation diagnostics', () => {
+  const diagnostics = DataCortex.validateEvent({
+    kingdom: 'k'.repeat(40),
+    float1: Infinity,
+    float2: 'abc',
+    event_datetime: '2024-01-01 12:00',
+    mystery: true,
+  });
+  const rules = diagnostics.map((d: any) => `${d.field}:${d.rule}`).sort();
+  assertEqual(
+    rules.join(','),
+    'event_datetime:invalid_datetime,float1:not_finite,float2:not_a_number,kingdom:truncated,mystery:unknown_key'
+  );
+  assertEqual(
+    DataCortex.validateEvent({
+      kingdom: 'ok',
+      float1: 1,
+      event_datetime: '2024-01-01T12:00:00.000Z',
+    }).length,
+    0
+  );
+  assertEqual(DataCortex.validateLog({ log_line: 'fine' }).length, 0);
+});
+
+runner.test('should warn or throw on invalid events by mode', () => {
+  const errors: unknown[][] = [];
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    validation: 'warn',
+    errorLog: (...args: unknown[]) => errors.push(args),
+  });
+  DataCortex.event({ kingdom: 'warned', float1: NaN });
+  assertEqual(errors.length, 1);
+  assertEqual((errors[0][1] as any)[0].rule, 'not_a_number');
+
+  DataCortex.init({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'test-org',
+    validation: 'throw',
+  });
+  const before = DataCortex.getSessionKey();
+  let thrown: any = null;
+  try {
+    DataCortex.event({ kingdom: 'rejected', extra: 1 } as any);
+  } catch (e) {
+    thrown = e;
+  }
+  assert(thrown instanceof DataCortex.ValidationError, 'Should throw');
+  assertEqual(thrown.diagnostics[0].field, 'extra');
+  assertEqual(DataCortex.getSessionKey(), before);
+  assertThrows(() => DataCortex.logEvent({ log_level: 'x'.repeat(65) }));
+
+  const eventList = JSON.parse(
+    (global as any).localStorage.getItem('dc.event_list') || '[]'
+  );
+  assert(
+    eventList.some((e: any) => e.kingdom === 'warned'),
+    'Warned events should still be queued'
+  );
+  assert(
+    !eventList.some((e: any) => e.kingdom === 'rejected'),
+    'Rejected events should not be queued'
+  );
+  DataCortex.init({ apiKey: process.env.DC_API_KEY, orgName: 'test-org' });
+});
+
+runner.test('should check events against a tracking spec', () => {
+  const spec = {
+    events: {
+      levelComplete: {
+        taxonomy: { kingdom: 'progress', phylum: 'level' },
+        params: {
+          level: { field: 'float1', required: true },
+          world: { field: 'order' },
+        },
+      },
+      buyCoins: {
+        taxonomy: { kingdom: 'store' },
+        economy: true,
+        params: { coins: { field: 'float1', required: true } },
+      },
+    },
+  };
+  const rules = (props: object): string =>
+    DataCortex.validateEvent(props, spec)
+      .map((d: any) => `${d.field}:${d.rule}`)
+      .join(',');
+  assertEqual(
+    rules({ kingdom: 'progress', phylum: 'level', order: 'w1', float1: 3 }),
+    ''
+  );
+  assertEqual(
+    rules({ kingdom: 'progress', phylum: 'levle', float1: 3 }),
+    'kingdom:unknown_event'
+  );
+  assertEqual(
+    rules({ kingdom: 'progress', phylum: 'level', float2: 1 }),
+    'float1:missing_field,float2:unexpected_field'
+  );
+  assertEqual(
+    rules({ kingdom: 'store', float1: 100 }),
+    'kingdom:unknown_event',
+    'Economy entries only match economy events'
+  );
+  assertEqual(
+    rules({ kingdom: 'store', float1: 100, spend_currency: 'USD' }),
+    ''
+  );
+  assertThrows(() =>
+    DataCortex.parseTrackingSpec({
+      events: { 'not valid': { taxonomy: { phylum: 'x' } } },
+    })
+  );
+
+  const errors: unknown[][] = [];
+  const client = DataCortex.createClient({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'spec-org',
+    namespace: 'spec',
+    trackingSpec: spec,
+    errorLog: (...args: unknown[]) => errors.push(args),
+  });
+  client.event({ kingdom: 'progress', phylum: 'level', float1: 1 });
+  client.economyEvent({
+    kingdom: 'store',
+    float1: 100,
+    spend_currency: 'USD',
+    spend_amount: 0.99,
+  });
+  assertEqual(errors.length, 0, 'Install, dau and session are not checked');
+  client.event({ kingdom: 'progres', phylum: 'level', float1: 1 });
+  assertEqual(errors.length, 1, 'A spec defaults validation to warn');
+  assertEqual((errors[0][1] as any)[0].rule, 'unknown_event');
+  client.destroy();
+});
+
+runner.test('should not hold page views to the tracking spec', () => {
+  const win = (global as any).window;
+  const client = DataCortex.createClient({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'spec-page-org',
+    namespace: 'spec_page',
+    sessionEvents: false,
+    trackingSpec: { events: { levelUp: { taxonomy: { kingdom: 'level' } } } },
+    validation: 'throw',
+    pageTracking: true,
+  });
+  win.history.pushState({}, '', '/spec');
+  client.destroy();
+  win.history.pushState({}, '', '/');
+
+  const pages = client
+    .getQueue()
+    .filter((e) => e.kingdom === 'page_view' || e.kingdom === 'page_leave')
+    .map((e) => `${e.kingdom}:${e.phylum}`);
+  assertEqual(pages.join(','), 'page_view:/,page_leave:/,page_view:/spec');
+  assertThrows(() => client.event({ kingdom: 'page_view' }));
+});
+
+runner.test('should run the pipeline without fetch in dry run', async () => {
+  const originalFetch = (global as any).fetch;
+  const originalLog = console.log;
+  let fetchCalls = 0;
+  const debugLines: unknown[][] = [];
+  (global as any).fetch = (...args: any[]) => {
+    fetchCalls++;
+    return originalFetch(...args);
+  };
+  console.log = (...args: unknown[]) => debugLines.push(args);
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'dry-run-org',
+      dryRun: true,
+      debug: true,
+      sessionEvents: false,
+    });
+    client.event({ kingdom: 'qa', phylum: 'checkout' });
+    client.log('dry run log');
+    await client.flush();
+
+    assertEqual(fetchCalls, 0);
+    const queue = client.getQueue();
+    const queued = queue.find((e) => e.kingdom === 'qa');
+    assertEqual(queued?.phylum, 'checkout');
+    assertEqual((queued as any).session_key, undefined);
+    assertEqual(client.getPendingLogCount(), 1);
+    assert(
+      debugLines.some((l) => String(l[1]).startsWith('queued event')),
+      'Enqueued records should be logged'
+    );
+    const sent = debugLines.find((l) =>
+      String(l[1]).startsWith('dry run POST')
+    );
+    assert(sent !== undefined, 'Outgoing bundles should be logged');
+    const bundle = sent?.[2] as any;
+    assertEqual(bundle.events.length, queue.length);
+    assert(bundle.browser !== undefined, 'Bundle should be enriched');
+
+    client.clearQueue();
+    assertEqual(client.getQueue().length, 0);
+    assertEqual(client.getPendingLogCount(), 0);
+    assertEqual(
+      (global as any).localStorage.getItem('dc.dry-run-org.event_list'),
+      '[]'
+    );
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+    console.log = originalLog;
+  }
+});
+
+runner.test('should report delivery outcomes to listeners', async () => {
+  const originalFetch = (global as any).fetch;
+  const statuses = [500, 200, 403];
+  (global as any).fetch = () =>
+    Promise.resolve({
+      status: statuses.shift() ?? 200,
+      text: () => Promise.resolve('{}'),
+    });
+  const seen: string[] = [];
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'listener-org',
+      sessionEvents: false,
+      retry: { jitter: 0 },
+      errorLog: () => {},
+    });
+    let readyTag = '';
+    client.on('ready', (info) => {
+      readyTag = info.deviceTag;
+    });
+    assertEqual(readyTag, client.getDeviceTag());
+
+    client.on('sent', (info) => seen.push(`sent:${info.status}`));
+    client.on('failed', (info) =>
+      seen.push(`failed:${info.status}:${info.retryCount}:${info.retryIn}`)
+    );
+    const onDropped = (info: any): void => {
+      seen.push(`dropped:${info.reason}:${info.indexes.length}`);
+    };
+    client.on('dropped', onDropped);
+
+    client.event({ kingdom: 'first' });
+    await client.flush();
+    await client.flush();
+    client.event({ kingdom: 'second' });
+    await client.flush();
+    assert(!client.isReady(), '403 should disable the client');
+    client.off('dropped', onDropped);
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+  }
+  assertEqual(
+    seen.join(','),
+    'failed:500:1:2000,sent:200,dropped:bad_api_key:1'
+  );
+});
+
+runner.test('should track page views and route changes', () => {
+  const win = (global as any).window;
+  win.document.title = 'Home';
+  const client = DataCortex.createClient({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'page-org',
+    sessionEvents: false,
+    pageTracking: { routes: ['/users/:id', '/docs/*'] },
+  });
+  win.history.pushState({}, '', '/users/42');
+  win.history.replaceState({ tab: 2 }, '', '/users/42');
+  win.history.pushState({}, '', '/docs/a/b');
+  client.destroy();
+  win.history.pushState({}, '', '/');
+
+  const pages = client
+    .getQueue()
+    .filter((e) => e.kingdom === 'page_view' || e.kingdom === 'page_leave')
+    .map((e) => `${e.kingdom}:${e.phylum}:${e.order ?? ''}`);
+  assertEqual(
+    pages.join(','),
+    [
+      'page_view:/:',
+      'page_leave:/:',
+      'page_view:/users/:id:/',
+      'page_leave:/users/:id:',
+      'page_view:/docs/*:/users/42',
+    ].join(',')
+  );
+  const leave = client.getQueue().find((e) => e.kingdom === 'page_leave');
+  assertEqual(leave?.class, 'Home');
+  assert(typeof leave?.float1 === 'number', 'Time on page should be set');
+});
+
+runner.test('should report errors with details and rate limits', () => {
+  const win = (global as any).window;
+  const client = DataCortex.createClient({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'error-org',
+    addErrorHandler: { rateLimit: 2 },
+  });
+  for (let i = 0; i < 4; i++) {
+    win.dispatchEvent(
+      new win.ErrorEvent('error', {
+        message: 'Uncaught TypeError: x is undefined',
+        filename: 'https://localhost/app.js',
+        lineno: 10,
+        colno: 5,
+        error: new TypeError('x is undefined'),
+      })
+    );
+  }
+  const rejection = new win.Event('unhandledrejection');
+  rejection.reason = 'network down';
+  win.dispatchEvent(rejection);
+  client.captureException(new Error('render failed'), { component: 'Cart' });
+  client.destroy();
+  win.dispatchEvent(new win.ErrorEvent('error', { message: 'after destroy' }));
+
+  const logs = JSON.parse(
+    (global as any).localStorage.getItem('dc.error-org.log_list') || '[]'
+  );
+  assertEqual(logs.length, 4);
+  assertEqual(logs[0].log_level, 'error');
+  assertEqual(logs[0].filename, 'https://localhost/app.js:10:5');
+  assert(
+    logs[0].log_line.startsWith('TypeError: x is undefined\n'),
+    'Should include the message and stack'
+  );
+  assertEqual(logs[2].log_line, 'Unhandled rejection: network down');
+  assert(
+    logs[3].log_line.startsWith('Error: render failed {"component":"Cart"}'),
+    'captureException should include the context'
+  );
+});
+
+runner.test('should send leveled logs and capture the console', () => {
+  const original = {
+    log: console.log,
+    warn: console.warn,
+    error: console.error,
+  };
+  const printed: string[] = [];
+  console.log = (...args: unknown[]) => printed.push(`log:${args.join(' ')}`);
+  console.warn = (...args: unknown[]) => printed.push(`warn:${args.join(' ')}`);
+  console.error = (...args: unknown[]) =>
+    printed.push(`error:${args.join(' ')}`);
+  let client: any;
+  try {
+    client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'console-org',
+      logLevel: 'info',
+      captureConsole: { methods: ['log', 'warn', 'error'] },
+      errorLog: (...args: unknown[]) => console.error('SDK', ...args),
+    });
+    client.logger.debug('too chatty');
+    client.logger.info('hello', { a: 1 });
+    console.warn('careful');
+    console.log('plain');
+    const removeHook = client.beforeLog(() => {
+      throw new Error('broken hook');
+    });
+    client.log('with broken hook');
+    removeHook();
+    client.destroy();
+    console.error('after destroy');
+  } finally {
+    Object.assign(console, original);
+  }
+
+  assert(printed.includes('warn:careful'), 'Console should still print');
+  assert(
+    printed.some((p) => p.startsWith('error:SDK')),
+    'SDK errors should still print'
+  );
+  const logs = JSON.parse(
+    (global as any).localStorage.getItem('dc.console-org.log_list') || '[]'
+  );
+  assertEqual(
+    logs.map((l: any) => `${l.log_level}:${l.log_line}`).join(','),
+    'info:hello {"a":1},warn:careful,info:plain,undefined:with broken hook'
+  );
+});
+
+runner.test('should report web vitals once per page', () => {
+  const win = (global as any).window;
+  const observers: { type: string; cb: (list: any) => void }[] = [];
+  class MockObserver {
+    static supportedEntryTypes = [
+      'paint',
+      'largest-contentful-paint',
+      'layout-shift',
+      'event',
+      'navigation',
+      'longtask',
+      'resource',
+    ];
+    type = '';
+    constructor(public cb: (list: any) => void) {
+      observers.push(this);
+    }
+    observe(opts: { type: string }): void {
+      this.type = opts.type;
+    }
+    disconnect(): void {}
+  }
+  const emit = (type: string, entries: any[]): void => {
+    for (const o of observers.filter((o) => o.type === type)) {
+      o.cb({ getEntries: () => entries });
+    }
+  };
+  win.PerformanceObserver = MockObserver;
+  const client = DataCortex.createClient({
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'vitals-org',
+    sessionEvents: false,
+    sendOnUnload: false,
+    webVitals: { longTaskThreshold: 100, slowResourceThreshold: 1000 },
+  });
+  try {
+    emit('paint', [{ name: 'first-contentful-paint', startTime: 900.4 }]);
+    emit('navigation', [
+      {
+        type: 'navigate',
+        responseStart: 2000,
+        loadEventEnd: 3000,
+        domContentLoadedEventEnd: 2500,
+        domInteractive: 2400,
+        transferSize: 5000,
+      },
+    ]);
+    emit('largest-contentful-paint', [
+      { startTime: 1200, element: win.document.body, url: '' },
+      { startTime: 4500, element: null, url: 'https://localhost/hero.jpg' },
+    ]);
+    emit('layout-shift', [
+      { startTime: 100, value: 0.05, hadRecentInput: false },
+      { startTime: 300, value: 0.04, hadRecentInput: false },
+      { startTime: 400, value: 0.5, hadRecentInput: true },
+      { startTime: 3000, value: 0.02, hadRecentInput: false },
+    ]);
+    emit('event', [
+      { name: 'click', interactionId: 1, duration: 80 },
+      { name: 'keydown', interactionId: 2, duration: 240 },
+      { name: 'pointermove', interactionId: 0, duration: 900 },
+    ]);
+    emit('longtask', [{ duration: 60 }, { duration: 180 }]);
+    emit('resource', [
+      { name: 'https://localhost/app.js', duration: 1500, transferSize: 900 },
+      { name: 'https://localhost/fast.js', duration: 20, transferSize: 900 },
+      {
+        name: 'https://api.data-cortex.com/vitals-org/1/track',
+        duration: 4000,
+      },
+    ]);
+
+    Object.defineProperty(win.document, 'visibilityState', {
+      value: 'hidden',
+      configurable: true,
+    });
+    win.document.dispatchEvent(new win.Event('visibilitychange'));
+    win.document.dispatchEvent(new win.Event('visibilitychange'));
+  } finally {
+    delete win.document.visibilityState;
+    delete win.PerformanceObserver;
+    client.destroy();
+  }
+
+  const vitals = client
+    .getQueue()
+    .filter((e) => e.kingdom === 'web_vitals')
+    .map((e) => `${e.phylum}:${e.class ?? ''}:${e.order ?? ''}:${e.float1}`);
+  assertEqual(
+    vitals.join(','),
+    [
+      'FCP:good::900',
+      'TTFB:poor:navigate:2000',
+      'NAV::navigate:3000',
+      'LCP:poor:https://localhost/hero.jpg:4500',
+      'CLS:good::0.09',
+      'INP:needs-improvement:keydown:240',
+    ].join(',')
+  );
+  const logs = JSON.parse(
+    (global as any).localStorage.getItem('dc.vitals-org.log_list') || '[]'
+  );
+  assertEqual(
+    logs.map((l: any) => `${l.response_ms}:${l.filename ?? ''}`).join(','),
+    '180:,1500:https://localhost/app.js',
+    "The library's own slow requests aren't reported"
+  );
+});
+
+runner.test('should start without supportedEntryTypes', () => {
+  const win = (global as any).window;
+  let observed = 0;
+  win.PerformanceObserver = class {
+    observe(): void {
+      observed++;
+    }
+    disconnect(): void {}
+  };
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'old-vitals-org',
+      sessionEvents: false,
+      webVitals: true,
+    });
+    assertEqual(client.isReady(), true);
+    assertEqual(observed, 0, 'Nothing is observed without the list');
+    client.destroy();
+  } finally {
+    delete win.PerformanceObserver;
+  }
+});
+
+runner.test('should time events across hides and reloads', () => {
+  const win = (global as any).window;
+  const originalNow = Date.now;
+  let now = 1000;
+  Date.now = () => now;
+  const setHidden = (hidden: boolean): void => {
+    if (hidden) {
+      Object.defineProperty(win.document, 'visibilityState', {
+        value: 'hidden',
+        configurable: true,
+      });
+    } else {
+      delete win.document.visibilityState;
+    }
+    win.document.dispatchEvent(new win.Event('visibilitychange'));
+  };
+  const opts = {
+    apiKey: process.env.DC_API_KEY,
+    orgName: 'timer-org',
+    sessionEvents: false,
+    sendOnUnload: false,
+    timerExpiry: 10000,
+  };
+  try {
+    const firstPage = DataCortex.createClient(opts);
+    firstPage.startTimer('level', { kingdom: 'level_complete' });
+    now = 1500;
+    setHidden(true);
+    now = 5000;
+    setHidden(false);
+    firstPage.destroy();
+
+    const secondPage = DataCortex.createClient(opts);
+    now = 5500;
+    assertEqual(secondPage.endTimer('level', { phylum: '3' }), 1000);
+    assertEqual(secondPage.endTimer('level'), null);
+
+    assertEqual(secondPage.cancelTimer('checkout'), false);
+    secondPage.startTimer('checkout');
+    assertEqual(secondPage.cancelTimer('checkout'), true);
+    assertEqual(secondPage.endTimer('checkout'), null);
+
+    secondPage.startTimer('abandoned');
+    now = 20000;
+    assertEqual(secondPage.endTimer('abandoned'), null);
+
+    const event = secondPage
+      .getQueue()
+      .find((e) => e.kingdom === 'level_complete');
+    assertEqual(event?.phylum, '3');
+    assertEqual(event?.float1, 1000);
+    secondPage.destroy();
+  } finally {
+    Date.now = originalNow;
+  }
+});
+
+runner.test('should keep the identity events had when queued', async () => {
+  const originalFetch = (global as any).fetch;
+  const bundles: any[] = [];
+  (global as any).fetch = (_url: string, options: any) => {
+    bundles.push(JSON.parse(options.body));
+    return Promise.resolve({ status: 200, text: () => Promise.resolve('{}') });
+  };
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'identity-org',
+      sessionEvents: false,
+    });
+    const firstDevice = client.getDeviceTag();
+    client.event({ kingdom: 'anonymous' });
+    client.identify('user-1', { alias: true });
+    client.event({ kingdom: 'logged_in' });
+    client.reset({ rotateDeviceTag: true });
+    client.event({ kingdom: 'logged_out' });
+    assert(client.getDeviceTag() !== firstDevice, 'Device tag should rotate');
+
+    for (let i = 0; i < 5 && client.getQueue().length > 0; i++) {
+      await client.flush();
+    }
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+  }
+
+  const summary = bundles.map(
+    (b) =>
+      `${b.user_tag ?? '-'}:${b.events.map((e: any) => e.kingdom).join('+')}`
+  );
+  assertEqual(
+    summary.join(','),
+    '-:organic++anonymous,user-1:alias+logged_in,-:logged_out'
+  );
+  assertEqual(bundles[1].events[0].from_tag, bundles[0].device_tag);
+  assertEqual(bundles[1].device_tag, bundles[0].device_tag);
+  assert(bundles[2].device_tag !== bundles[0].device_tag, 'New device tag');
+  assertEqual(bundles[0].events[0].user_tag, undefined);
+});
+
+// Grants each lock to one holder at a time, in request order
+function installLocks(): void {
+  const lockQueues = new Map<string, (() => void)[]>();
+  (navigator as any).locks = {
+    request(name: string, _opts: unknown, cb: () => Promise<void>) {
+      return new Promise<void>((resolve) => {
+        const queue = lockQueues.get(name) ?? [];
+        lockQueues.set(name, queue);
+        const grant = (): void => {
+          cb()
+            .then(resolve)
+            .finally(() => {
+              queue.shift();
+              queue[0]?.();
+            });
+        };
+        queue.push(grant);
+        if (queue.length === 1) {
+          Promise.resolve().then(grant);
+        }
+      });
+    },
+  };
+}
+
+runner.test('should send the shared queue from one tab at a time', async () => {
+  installLocks();
+  const originalFetch = (global as any).fetch;
+  const bundles: any[] = [];
+  (global as any).fetch = (_url: string, options: any) => {
+    bundles.push(JSON.parse(options.body));
+    return Promise.resolve({ status: 200, text: () => Promise.resolve('{}') });
+  };
+  const tick = (): Promise<void> =>
+    new Promise((resolve) => setImmediate(resolve));
+  try {
+    const opts = {
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'tabs-org',
+      namespace: 'tabs',
+      sessionEvents: false,
+    };
+    const firstTab = DataCortex.createClient(opts);
+    await tick();
+    const secondTab = DataCortex.createClient(opts);
+    await tick();
+    secondTab.event({ kingdom: 'from_second' });
+    firstTab.event({ kingdom: 'from_first' });
+    // Each tab writes the shared queue once it holds the queue lock
+    await tick();
+
+    const queue = firstTab.getQueue();
+    assertEqual(
+      queue.map((e) => e.kingdom).join('+'),
+      'organic++from_second+from_first'
+    );
+    assertEqual(new Set(queue.map((e) => e.event_index)).size, 4);
+    assertEqual(secondTab.getQueue().length, 4);
+
+    await secondTab.flush();
+    assertEqual(bundles.length, 0, 'Only the lock holder sends');
+
+    // Closing the sending tab hands the lock and the queue to the other one
+    firstTab.destroy();
+    await tick();
+    await secondTab.flush();
+    secondTab.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+    delete (navigator as any).locks;
+  }
+
+  assertEqual(bundles.length, 1);
+  assertEqual(
+    bundles[0].events.map((e: any) => e.kingdom).join('+'),
+    'organic++from_second+from_first'
+  );
+});
+
+runner.test('should keep records another tab wrote to the queue', async () => {
+  installLocks();
+  const tick = (): Promise<void> =>
+    new Promise((resolve) => setImmediate(resolve));
+  const storage = (global as any).localStorage;
+  const key = 'dc.interleave.event_list';
+  try {
+    const opts = {
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'interleave-org',
+      namespace: 'interleave',
+      sessionEvents: false,
+    };
+    const firstTab = DataCortex.createClient(opts);
+    await tick();
+    const secondTab = DataCortex.createClient(opts);
+    await tick();
+
+    // A third tab read the queue and writes it back while both tabs add to it
+    let release: () => void = () => undefined;
+    (navigator as any).locks.request(
+      'dc.interleave.queue',
+      {},
+      async () =>
+        new Promise<void>((resolve) => {
+          release = resolve;
+        })
+    );
+    await tick();
+    const stale = JSON.parse(storage.getItem(key) ?? '[]');
+    firstTab.event({ kingdom: 'from_first' });
+    secondTab.event({ kingdom: 'from_second' });
+    storage.setItem(
+      key,
+      JSON.stringify([
+        ...stale,
+        { ...stale[0], event_index: 1000, kingdom: 'from_third' },
+      ])
+    );
+    release();
+    await tick();
+
+    const stored = JSON.parse(storage.getItem(key) ?? '[]');
+    assertEqual(
+      stored.map((e: any) => e.kingdom).join('+'),
+      'organic++from_third+from_first+from_second'
+    );
+    assertEqual(firstTab.getQueue().length, 5);
+    assertEqual(secondTab.getQueue().length, 5);
+    firstTab.destroy();
+    secondTab.destroy();
+  } finally {
+    delete (navigator as any).locks;
+  }
+});
+
+runner.test('should not reuse event indexes another tab assigned', async () => {
+  const originalFetch = (global as any).fetch;
+  let respond: () => void = () => undefined;
+  (global as any).fetch = () =>
+    new Promise((resolve) => {
+      respond = () => {
+        resolve({ status: 200, text: () => Promise.resolve('{}') });
+      };
+    });
+  try {
+    const opts = {
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'index-org',
+      namespace: 'index',
+      sessionEvents: false,
+    };
+    const firstTab = DataCortex.createClient(opts);
+    const secondTab = DataCortex.createClient(opts);
+    firstTab.event({ kingdom: 'first' });
+    const flushed = firstTab.flush();
+    // Queued by the other tab while the sender's bundle is in flight
+    secondTab.event({ kingdom: 'second' });
+    respond();
+    await flushed;
+    firstTab.event({ kingdom: 'third' });
+
+    const queue = firstTab.getQueue();
+    assertEqual(queue.map((e) => e.kingdom).join('+'), 'second+third');
+    assert(
+      queue[0].event_index !== queue[1].event_index,
+      'Each event keeps its own index'
+    );
+    firstTab.destroy();
+    secondTab.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+  }
+});
+
+runner.test(
+  'should back off, honor Retry-After and pause offline',
+  async () => {
+    const win = (global as any).window;
+    const originalFetch = (global as any).fetch;
+    const responses = [
+      { status: 503, retryAfter: '2' },
+      { status: 429, retryAfter: '86400' },
+      { status: 500, retryAfter: null },
+      { status: 200, retryAfter: null },
+    ];
+    let fetchCount = 0;
+    (global as any).fetch = () => {
+      fetchCount++;
+      const { status, retryAfter } = responses.shift() ?? responses[0];
+      return Promise.resolve({
+        status,
+        headers: {
+          get: (name: string) => (name === 'Retry-After' ? retryAfter : null),
+        },
+        text: () => Promise.resolve('{}'),
+      });
+    };
+    const seen: string[] = [];
+    try {
+      const client = DataCortex.createClient({
+        apiKey: process.env.DC_API_KEY,
+        orgName: 'retry-org',
+        sessionEvents: false,
+        retry: { jitter: 0, baseDelay: 500, maxDelay: 3000 },
+        errorLog: () => {},
+      });
+      client.on('failed', (info) =>
+        seen.push(`${info.retryCount}:${info.retryIn}`)
+      );
+      client.on('sent', (info) => seen.push(`sent:${info.retryCount}`));
+      await client.flush();
+      await client.flush();
+      await client.flush();
+
+      (navigator as any).onLine = false;
+      win.dispatchEvent(new win.Event('offline'));
+      await client.flush();
+      assertEqual(fetchCount, 3, 'Nothing is sent while offline');
+
+      (navigator as any).onLine = true;
+      win.dispatchEvent(new win.Event('online'));
+      await client.flush();
+      client.destroy();
+    } finally {
+      (global as any).fetch = originalFetch;
+      delete (navigator as any).onLine;
+    }
+    // Retry-After is capped at maxDelay too
+    assertEqual(seen.join(','), '1:2000,2:3000,3:2000,sent:0');
+  }
+);
+
+runner.test('should sample, rate limit and collapse records', async () => {
+  const originalFetch = (global as any).fetch;
+  const bundles: any[] = [];
+  (global as any).fetch = (_url: string, options: any) => {
+    bundles.push(JSON.parse(options.body));
+    return Promise.resolve({ status: 200, text: () => Promise.resolve('{}') });
+  };
+  const dropped: string[] = [];
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'throttle-org',
+      namespace: 'throttle',
+      sessionEvents: false,
+      throttling: {
+        sampling: { economy: 0, log: 1 },
+        eventRateLimit: { rate: 0.001, burst: 2 },
+        logRateLimit: { error: { rate: 0.001, burst: 1 } },
+        collapseRepeatedLogs: true,
+      },
+    });
+    client.on('dropped', (info) =>
+      dropped.push(`${info.type}:${info.reason}:${info.count}`)
+    );
+    for (let i = 0; i < 5; i++) {
+      client.event({ kingdom: 'loop', float1: i });
+    }
+    client.event({ kingdom: 'other' });
+    client.economyEvent({
+      kingdom: 'store',
+      spend_currency: 'USD',
+      spend_amount: 1,
+    });
+    for (let i = 0; i < 4; i++) {
+      client.log('same line');
+    }
+    const longLine = 'x'.repeat(70000);
+    client.log(longLine);
+    client.log(longLine);
+    client.log('different line');
+    client.logger.error('first error');
+    client.logger.error('second error');
+
+    const kingdoms = client.getQueue().map((e: any) => e.kingdom);
+    assertEqual(
+      kingdoms.filter((k: string) => k === 'loop').length,
+      2,
+      'Burst of 2 per taxonomy'
+    );
+    assert(
+      kingdoms.includes('other'),
+      'Other taxonomies have their own bucket'
+    );
+    assert(!kingdoms.includes('store'), 'Economy is sampled out');
+    const logs = JSON.parse(
+      localStorageProxy.getItem('dc.throttle.log_list') || '[]'
+    );
+    const long = logs[1].log_line;
+    assertEqual(logs.length, 4);
+    assertEqual(long.length, 65535, 'Repeat count stays within the limit');
+    assert(long.endsWith('x (repeated 1 more times)'), 'Count is kept');
+    assertEqual(
+      [logs[0], logs[2], logs[3]].map((l: any) => l.log_line).join('|'),
+      'same line (repeated 3 more times)|different line|first error'
+    );
+    const session = JSON.parse(
+      localStorageProxy.getItem('dc.throttle.session') || 'null'
+    );
+    assertEqual(session?.event_count, 3, 'Dropped events are not counted');
+
+    await client.flush();
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+  }
+  assertEqual(
+    dropped.sort().join(','),
+    'event:rate_limited:3,event:sampled:1,log:rate_limited:1,log:repeated:4'
+  );
+  const report = bundles
+    .flatMap((b) => b.events)
+    .find((l: any) => l.log_line?.startsWith('Data Cortex throttled'));
+  assertEqual(
+    report?.log_line,
+    'Data Cortex throttled 4 events (3 rate_limited, 1 sampled) and 5 logs (4 repeated, 1 rate_limited)'
+  );
+  assertEqual(report?.log_level, 'warn');
+});
+
+runner.test('should batch by size, bytes and backlog', async () => {
+  const originalFetch = (global as any).fetch;
+  const bodies: string[] = [];
+  (global as any).fetch = (_url: string, options: any) => {
+    bodies.push(options.body);
+    return Promise.resolve({ status: 200, text: () => Promise.resolve('{}') });
+  };
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'batch-org',
+      sessionEvents: false,
+      eventBatching: { batchSize: 20, maxBatchSize: 50, adaptive: true },
+      logBatching: { batchSize: 100, maxBytes: 2000 },
+    });
+    for (let i = 0; i < 118; i++) {
+      client.event({ kingdom: 'burst', float1: i });
+    }
+    for (let i = 0; i < 30; i++) {
+      client.log(`log line ${i} `.padEnd(100, '.'));
+    }
+    for (
+      let i = 0;
+      i < 20 && (client.getQueue().length > 0 || client.getPendingLogCount());
+      i++
+    ) {
+      await client.flush();
+    }
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+  }
+  const bundles = bodies.map((body) => JSON.parse(body));
+  const eventSizes = bundles
+    .filter((b) => !b.events[0].log_line)
+    .map((b) => b.events.length);
+  // 118 events plus install and dau
+  assertEqual(eventSizes.join(','), '50,50,20');
+  const logBodies = bodies.filter((_, i) => bundles[i].events[0].log_line);
+  assertEqual(
+    logBodies.reduce((n, body) => n + JSON.parse(body).events.length, 0),
+    30
+  );
+  assert(logBodies.length > 1, 'Logs should be split by size');
+  assert(
+    logBodies.every((body) => body.length <= 2000),
+    'Every log request fits in maxBytes'
+  );
+});
+
+runner.test('should gzip large bodies for a decompressing server', async () => {
+  const received: { encoding?: string; size: number; body: any }[] = [];
+  const server = createServer((req, res) => {
+    const chunks: Buffer[] = [];
+    req.on('data', (chunk: Buffer) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const encoding = req.headers['content-encoding'];
+      const text =
+        encoding === 'gzip' ? gunzipSync(raw).toString() : raw.toString();
+      received.push({ encoding, size: raw.length, body: JSON.parse(text) });
+      // No keep-alive, the mocked timers come back once the test is done
+      res.writeHead(200, { Connection: 'close' });
+      res.end('{}');
+    });
+  });
+  await new Promise<void>((resolve) => {
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const { port } = server.address() as AddressInfo;
+  const originalFetch = (global as any).fetch;
+  const originalSetTimeout = global.setTimeout;
+  const originalClearTimeout = global.clearTimeout;
+  // Node's fetch needs working timers
+  (global as any).fetch = nodeFetch;
+  global.setTimeout = nodeSetTimeout;
+  global.clearTimeout = nodeClearTimeout;
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'gzip-org',
+      baseUrl: `http://127.0.0.1:${port}`,
+      sessionEvents: false,
+      compression: { threshold: 2000 },
+    });
+    client.log('x'.repeat(5000));
+    for (
+      let i = 0;
+      i < 5 && (client.getQueue().length > 0 || client.getPendingLogCount());
+      i++
+    ) {
+      await client.flush();
+    }
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+    global.setTimeout = originalSetTimeout;
+    global.clearTimeout = originalClearTimeout;
+    server.closeAllConnections();
+    server.close();
+  }
+
+  const logs = received.find((r) => r.body.events[0].log_line);
+  assertEqual(logs?.encoding, 'gzip');
+  assert(logs !== undefined && logs.size < 1000, 'Log bundle is compressed');
+  assertEqual(logs?.body.events[0].log_line.length, 5000);
+  // Install and dau are under the threshold
+  const events = received.find((r) => !r.body.events[0].log_line);
+  assertEqual(events?.encoding, undefined);
+  assertEqual(events?.body.events.length, 2);
+});
+
+runner.test('should correct timestamps for a skewed client clock', async () => {
+  const AHEAD_MS = 3 * 60 * 60 * 1000;
+  const originalFetch = (global as any).fetch;
+  const bundles: any[] = [];
+  (global as any).fetch = (_url: string, options: any) => {
+    bundles.push(JSON.parse(options.body));
+    const date = new Date(Date.now() + AHEAD_MS).toUTCString();
+    return Promise.resolve({
+      status: 200,
+      headers: { get: (name: string) => (name === 'Date' ? date : null) },
+      text: () => Promise.resolve('{}'),
+    });
+  };
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'clock-org',
+      namespace: 'clock',
+      sessionEvents: false,
+      eventBatching: { batchSize: 1 },
+    });
+    client.event({ kingdom: 'queued_early' });
+    for (let i = 0; i < 5 && client.getQueue().length > 0; i++) {
+      await client.flush();
+    }
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+  }
+
+  const near = (value: number, expected: number): boolean =>
+    Math.abs(value - expected) < 5000;
+  assertEqual(bundles[0].clock_skew, undefined, 'Nothing measured yet');
+  assert(near(bundles[1].clock_skew, AHEAD_MS), 'Skew is reported');
+  const early = bundles[2].events[0];
+  assertEqual(early.kingdom, 'queued_early');
+  assert(
+    near(Date.parse(early.event_datetime) - Date.now(), AHEAD_MS),
+    'Queued events are corrected when sent'
+  );
+  assert(
+    near(Number(localStorageProxy.getItem('dc.clock.clock_offset')), AHEAD_MS),
+    'The offset is persisted'
+  );
+});
+
+runner.test('should prefer client hints for device detection', async () => {
+  const nav = (global as any).navigator;
+  nav.userAgentData = {
+    brands: [
+      { brand: 'Not_A Brand', version: '8' },
+      { brand: 'Chromium', version: '120' },
+      { brand: 'Brave', version: '120' },
+    ],
+    mobile: false,
+    platform: 'Windows',
+    getHighEntropyValues: () =>
+      Promise.resolve({
+        platformVersion: '15.0.0',
+        model: 'Surface Pro',
+        fullVersionList: [{ brand: 'Brave', version: '120.1.61.109' }],
+      }),
+  };
+  nav.language = 'fr-CA';
+  const originalFetch = (global as any).fetch;
+  const bundles: any[] = [];
+  (global as any).fetch = (_url: string, options: any) => {
+    bundles.push(JSON.parse(options.body));
+    return Promise.resolve({ status: 200, text: () => Promise.resolve('{}') });
+  };
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'hints-org',
+      namespace: 'hints',
+      sessionEvents: false,
+      deviceDetails: { screen: false },
+    });
+    // High entropy values resolve after init
+    await new Promise((resolve) => nodeSetTimeout(resolve, 0));
+    await client.flush();
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+    delete nav.userAgentData;
+    delete nav.language;
+  }
+
+  const [bundle] = bundles;
+  assertEqual(bundle.browser, 'brave');
+  assertEqual(bundle.browser_ver, '120.1.61.109');
+  assertEqual(bundle.os, 'windows');
+  assertEqual(bundle.os_ver, '11.0', 'Windows 11 from platformVersion');
+  assertEqual(bundle.device_family, 'desktop');
+  assertEqual(bundle.device_model, 'Surface Pro');
+  assertEqual(bundle.language, 'fr-CA');
+  assert(typeof bundle.timezone === 'string', 'Time zone is reported');
+  assertEqual(bundle.screen_width, undefined, 'Screen size is opted out');
+});
+
+runner.test('should relay bundles through a service worker', async () => {
+  const nav = (global as any).navigator;
+  const relayed: any[] = [];
+  let accept = true;
+  nav.serviceWorker = {
+    controller: {
+      postMessage: (message: any, [port]: MessagePort[]) => {
+        relayed.push(message);
+        port.postMessage({ ok: accept });
+      },
+    },
+  };
+  const originalFetch = (global as any).fetch;
+  let fetchCalls = 0;
+  (global as any).fetch = () => {
+    fetchCalls++;
+    return Promise.resolve({ status: 200, text: () => Promise.resolve('{}') });
+  };
+  try {
+    const client = DataCortex.createClient({
+      apiKey: process.env.DC_API_KEY,
+      orgName: 'relay-org',
+      namespace: 'relay',
+      sessionEvents: false,
+      relay: true,
+    });
+    client.event({ kingdom: 'relayed' });
+    await client.flush();
+    assertEqual(fetchCalls, 0, 'The service worker sends it');
+    assertEqual(client.getQueue().length, 0, 'Relayed events leave the queue');
+
+    // Not stored by the service worker, sent from the page instead
+    accept = false;
+    client.event({ kingdom: 'direct' });
+    await client.flush();
+    assertEqual(fetchCalls, 1);
+    assertEqual(client.getQueue().length, 0);
+    client.destroy();
+  } finally {
+    (global as any).fetch = originalFetch;
+    delete nav.serviceWorker;
+  }
+
+  assertEqual(relayed.length, 2);
+  assertEqual(relayed[0].type, 'dc-relay');
+  assert(relayed[0].url.includes('/relay-org/1/track'), 'Track URL is relayed');
+  const kingdoms = JSON.parse(relayed[0].body).events.map(
+    (e: any) => e.kingdom
+  );
+  assert(kingdoms.includes('relayed'), 'Bundle body is relayed');
+});
+
 // Run all tests
 runner.run().catch(console.error);
 
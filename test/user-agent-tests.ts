@@ -44,6 +44,15 @@ class MockXMLHttpRequest {
 
 (global as any).XMLHttpRequest = MockXMLHttpRequest;
 
+// Node only has a global navigator from v21
+if (!(global as any).navigator) {
+  Object.defineProperty(global, 'navigator', {
+    value: {},
+    writable: true,
+    configurable: true,
+  });
+}
+
 // Set a Chrome user agent
 Object.defineProperty((global as any).navigator, 'userAgent', {
   value:
@@ -265,6 +274,184 @@ runner.test('Network Mocking Verification', () => {
   console.log('   🔒 Network requests are properly mocked');
 });
 
+// [user agent, maxTouchPoints, os, os_ver, browser, browser_ver, device_type]
+const UA_CORPUS: [string, number, string, string, string, string, string][] = [
+  [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    0,
+    'windows',
+    '10.0',
+    'chrome',
+    '120.0.0.0',
+    'desktop',
+  ],
+  [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+    0,
+    'windows',
+    '10.0',
+    'edge',
+    '120.0.2210.91',
+    'desktop',
+  ],
+  [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 OPR/106.0.0.0',
+    0,
+    'windows',
+    '10.0',
+    'opera',
+    '106.0.0.0',
+    'desktop',
+  ],
+  [
+    'Mozilla/5.0 (Windows NT 6.1; Trident/7.0; rv:11.0) like Gecko',
+    0,
+    'windows',
+    '6.1',
+    'ie',
+    '11.0',
+    'desktop',
+  ],
+  [
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+    0,
+    'mac',
+    '10.15.7',
+    'safari',
+    '17.1',
+    'desktop',
+  ],
+  [
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:121.0) Gecko/20100101 Firefox/121.0',
+    0,
+    'mac',
+    '10.15',
+    'firefox',
+    '121.0',
+    'desktop',
+  ],
+  [
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+    5,
+    'ios',
+    '17.1',
+    'safari',
+    '17.1',
+    'ipad',
+  ],
+  [
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1.2 Mobile/15E148 Safari/604.1',
+    5,
+    'ios',
+    '17.1.2',
+    'safari',
+    '17.1.2',
+    'iphone',
+  ],
+  [
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1',
+    5,
+    'ios',
+    '17.1',
+    'chrome',
+    '120.0.6099.119',
+    'iphone',
+  ],
+  [
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) FxiOS/121.0 Mobile/15E148 Safari/605.1.15',
+    5,
+    'ios',
+    '17.1',
+    'firefox',
+    '121.0',
+    'iphone',
+  ],
+  [
+    'Mozilla/5.0 (iPad; CPU OS 12_5_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/12.1.2 Mobile/15E148 Safari/604.1',
+    5,
+    'ios',
+    '12.5.7',
+    'safari',
+    '12.1.2',
+    'ipad',
+  ],
+  [
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 [FBAN/MessengerForiOS;FBAV/439.0.0.29.110;FBBV/528375720]',
+    5,
+    'ios',
+    '16.6',
+    'fbmessenger',
+    '439.0.0.29.110',
+    'iphone',
+  ],
+  [
+    'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+    5,
+    'android',
+    '10',
+    'chrome',
+    '120.0.0.0',
+    'android',
+  ],
+  [
+    'Mozilla/5.0 (Linux; Android 13; SAMSUNG SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Mobile Safari/537.36',
+    5,
+    'android',
+    '13',
+    'samsung',
+    '23.0',
+    'android',
+  ],
+  [
+    'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    5,
+    'android',
+    '13',
+    'chrome',
+    '120.0.0.0',
+    'android_tablet',
+  ],
+  [
+    'Mozilla/5.0 (Linux; U; Android 4.0.3; en-us; GT-I9100 Build/IML74K) AppleWebKit/534.30 (KHTML, like Gecko) Version/4.0 Mobile Safari/534.30',
+    5,
+    'android',
+    '4.0.3',
+    'android',
+    '4.0',
+    'android',
+  ],
+  [
+    'Mozilla/5.0 (X11; CrOS x86_64 14541.0.0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    0,
+    'unix',
+    'unknown',
+    'chrome',
+    '120.0.0.0',
+    'desktop',
+  ],
+  [
+    'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0',
+    0,
+    'unix',
+    'unknown',
+    'firefox',
+    '121.0',
+    'desktop',
+  ],
+  ['curl/8.4.0', 0, 'unknown', 'unknown', 'unknown', 'unknown', 'desktop'],
+];
+
+for (const [ua, touch, os, os_ver, browser, browser_ver, device] of UA_CORPUS) {
+  runner.test(`Parse ${browser} on ${os} (${device})`, () => {
+    const info = DataCortex.parseUserAgent(ua, touch);
+    assertEqual(info.os, os, `os for ${ua}`);
+    assertEqual(info.os_ver, os_ver, `os_ver for ${ua}`);
+    assertEqual(info.browser, browser, `browser for ${ua}`);
+    assertEqual(info.browser_ver, browser_ver, `browser_ver for ${ua}`);
+    assertEqual(info.device_type, device, `device_type for ${ua}`);
+  });
+}
+
 console.log('\n🏁 User Agent Parsing Tests Complete\n');
 runner.printSummary();
 
@@ -0,0 +1,220 @@
+#!/usr/bin/env tsx
+
+import 'fake-indexeddb/auto';
+
+console.log('👷 Running Worker and Service Worker Relay Tests...\n');
+
+// Plain Node, no window or document, like a worker's global scope
+const scope = globalThis as any;
+
+class WorkerTestRunner {
+  private passed = 0;
+  private failed = 0;
+
+  async test(name: string, testFn: () => Promise<void>): Promise<void> {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      this.passed++;
+    } catch (error: any) {
+      console.log(`❌ ${name}: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  printSummary(): void {
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+const runner = new WorkerTestRunner();
+
+function assert(condition: any, message: string): void {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+function assertEqual(actual: any, expected: any, message?: string): void {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+        `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+async function tick(): Promise<void> {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+interface FetchCall {
+  url: string;
+  body: string;
+}
+const fetchCalls: FetchCall[] = [];
+let fetchStatus = 200;
+scope.fetch = async (url: string, init: RequestInit) => {
+  fetchCalls.push({ url, body: String(init.body) });
+  return new Response('{}', { status: fetchStatus });
+};
+
+async function countRecords(dbName: string): Promise<number> {
+  const db = await new Promise<IDBDatabase>((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  try {
+    return await new Promise<number>((resolve, reject) => {
+      const request = db
+        .transaction('requests', 'readonly')
+        .objectStore('requests')
+        .count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+let WorkerDataCortex: any = null;
+
+async function main(): Promise<void> {
+  await runner.test('Load the worker bundle without a window', async () => {
+    assertEqual(typeof scope.window, 'undefined');
+    assertEqual(typeof scope.addEventListener, 'undefined');
+    WorkerDataCortex = require('../dist/browser-data-cortex.worker.min.js');
+    assertEqual(typeof WorkerDataCortex.startRelay, 'function');
+  });
+
+  // Workers always have a navigator, Node 20 doesn't
+  scope.navigator = { userAgent: 'Node.js worker test', onLine: true };
+
+  await runner.test('Track and send from a window-less scope', async () => {
+    fetchCalls.length = 0;
+    const client = WorkerDataCortex.createClient({
+      apiKey: 'worker-key',
+      orgName: 'worker-org',
+      sessionEvents: false,
+    });
+    for (let i = 0; i < 20 && !client.isReady(); i++) {
+      await tick();
+    }
+    assert(client.isReady(), 'Client is ready with IndexedDB storage');
+    client.event({ kingdom: 'from-worker' });
+    await client.flush();
+    assertEqual(fetchCalls.length, 1, 'One request is sent');
+    assert(fetchCalls[0]?.url.includes('worker-org'), 'Sent to the org');
+    assert(fetchCalls[0]?.body.includes('from-worker'), 'Event is sent');
+    assertEqual(client.getQueue().length, 0, 'Queue is empty after send');
+    client.destroy();
+  });
+
+  // The parts of ServiceWorkerGlobalScope the relay uses
+  const target = new EventTarget();
+  scope.addEventListener = target.addEventListener.bind(target);
+  scope.removeEventListener = target.removeEventListener.bind(target);
+  const syncTags: string[] = [];
+  scope.registration = {
+    sync: {
+      register: async (tag: string) => {
+        syncTags.push(tag);
+      },
+    },
+  };
+  async function dispatch(
+    type: string,
+    props: Record<string, unknown>
+  ): Promise<void> {
+    const pending: Promise<unknown>[] = [];
+    const event = Object.assign(new Event(type), props, {
+      waitUntil: (promise: Promise<unknown>) => {
+        pending.push(promise);
+      },
+    });
+    target.dispatchEvent(event);
+    await Promise.allSettled(pending);
+  }
+  async function post(url: string, body: string): Promise<unknown[]> {
+    const acks: unknown[] = [];
+    const port = { postMessage: (message: unknown) => acks.push(message) };
+    await dispatch('message', {
+      data: { type: 'dc-relay', url, body },
+      ports: [port],
+    });
+    return acks;
+  }
+
+  await runner.test('Relay stores, delivers and removes a bundle', async () => {
+    fetchCalls.length = 0;
+    fetchStatus = 200;
+    const relay = WorkerDataCortex.startRelay({ dbName: 'relay-deliver' });
+    try {
+      const acks = await post('https://api.test/track', '{"events":[1]}');
+      assertEqual(acks, [{ ok: true }], 'The page is told it is stored');
+      assertEqual(fetchCalls, [
+        { url: 'https://api.test/track', body: '{"events":[1]}' },
+      ]);
+      assertEqual(await countRecords('relay-deliver'), 0, 'Record removed');
+    } finally {
+      relay.stop();
+    }
+  });
+
+  await runner.test(
+    'Relay keeps a failed bundle and syncs it later',
+    async () => {
+      fetchCalls.length = 0;
+      fetchStatus = 500;
+      syncTags.length = 0;
+      const relay = WorkerDataCortex.startRelay({ dbName: 'relay-retry' });
+      try {
+        const acks = await post('https://api.test/track', '{"events":[2]}');
+        assertEqual(acks, [{ ok: true }]);
+        assertEqual(fetchCalls.length, 1, 'Delivery is tried once');
+        assertEqual(await countRecords('relay-retry'), 1, 'Record is kept');
+        assertEqual(syncTags, ['dc-relay'], 'A sync is registered');
+
+        fetchStatus = 200;
+        await dispatch('sync', { tag: 'dc-relay' });
+        assertEqual(fetchCalls.length, 2, 'The sync delivers it');
+        assertEqual(await countRecords('relay-retry'), 0, 'Record removed');
+      } finally {
+        relay.stop();
+      }
+    }
+  );
+
+  await runner.test('Relay drops bundles older than maxAge', async () => {
+    fetchCalls.length = 0;
+    fetchStatus = 500;
+    const relay = WorkerDataCortex.startRelay({
+      dbName: 'relay-expiry',
+      maxAge: 1000,
+    });
+    const realNow = Date.now;
+    try {
+      await post('https://api.test/track', '{"events":[3]}');
+      assertEqual(await countRecords('relay-expiry'), 1);
+
+      const later = realNow() + 2000;
+      Date.now = () => later;
+      await relay.deliver();
+      assertEqual(fetchCalls.length, 1, 'Expired bundle is not sent');
+      assertEqual(await countRecords('relay-expiry'), 0, 'Record removed');
+    } finally {
+      Date.now = realNow;
+      relay.stop();
+    }
+  });
+
+  console.log('\n🏁 Worker and Service Worker Relay Tests Complete\n');
+  runner.printSummary();
+}
+
+void main();
+
+export {};